@@ -0,0 +1,296 @@
+// functions/bin/provision.js
+// School provisioning and claims maintenance with the Admin SDK. Run from
+// the functions folder (it uses that folder's firebase-admin):
+//
+//   node bin/provision.js create-school <schoolId> --name "Name" [--time-zone America/Detroit] [--week-start sunday|monday] [--specials-mode AE|MF]
+//   node bin/provision.js add-admin <schoolId> <email> [--name "Display Name"]
+//   node bin/provision.js list-staff <schoolId>
+//   node bin/provision.js repair-claims <schoolId> [--dry-run]
+//
+// Pass --emulator to use the local emulators (localhost:8080 and :9099
+// unless FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST are set).
+// Otherwise credentials come from GOOGLE_APPLICATION_CREDENTIALS. The
+// project is --project, GCLOUD_PROJECT, or the default in .firebaserc.
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const { setMembership, syncUserClaims } = require('../memberships');
+
+const USAGE = `Usage: node bin/provision.js <command> [args] [--project id] [--emulator]
+
+Commands:
+  create-school <schoolId> --name "Name" [--time-zone tz] [--week-start sunday|monday] [--specials-mode AE|MF]
+  add-admin <schoolId> <email> [--name "Display Name"]
+  list-staff <schoolId>
+  repair-claims <schoolId> [--dry-run]`;
+
+// Defaults for a new school doc (match the admin page's profile fields)
+const SCHOOL_DEFAULTS = {
+  logoURL: '',
+  specialsMode: 'AE',
+  timeZone: 'America/Detroit',
+  weekStart: 'sunday',
+  theme: { mode: 'dark', vars: {} }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Flags that never take a value, so the argument after them stays positional
+const BOOLEAN_FLAGS = ['emulator', 'dry-run', 'help'];
+
+/**
+ * Split argv into positional arguments and --flags
+ * @param {string[]} argv
+ * @returns {Object} { args, flags } - boolean flags and flags without a value are true
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.includes(key)) {
+      flags[key] = inline !== 'false';
+    } else if (inline !== undefined) {
+      flags[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[key] = argv[++i];
+    } else {
+      flags[key] = true;
+    }
+  }
+  return { args, flags };
+}
+
+/**
+ * Project id from the flag, the environment or .firebaserc
+ * @param {Object} flags
+ * @returns {string|undefined}
+ */
+function resolveProjectId(flags) {
+  if (typeof flags.project === 'string') return flags.project;
+  if (process.env.GCLOUD_PROJECT) return process.env.GCLOUD_PROJECT;
+
+  try {
+    const rc = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', '.firebaserc'), 'utf8'));
+    return rc.projects?.default;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function fail(message) {
+  const error = new Error(message);
+  error.userFacing = true;
+  throw error;
+}
+
+/**
+ * Claims roles for a school, or null when the user has no Auth account
+ * @param {string} uid
+ * @param {string} schoolId
+ * @returns {Promise<string[]|null>}
+ */
+async function getClaimRoles(uid, schoolId) {
+  try {
+    const user = await admin.auth().getUser(uid);
+    return user.customClaims?.schools?.[schoolId] || [];
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') return null;
+    throw err;
+  }
+}
+
+/**
+ * Roles a staff doc should grant (removed staff grant none)
+ * @param {Object} staff
+ * @returns {string[]}
+ */
+function staffRoles(staff) {
+  return staff.active === false ? [] : staff.roles || [];
+}
+
+function sameRoles(a, b) {
+  return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+}
+
+async function createSchool(schoolId, flags) {
+  if (!schoolId || typeof flags.name !== 'string') fail('create-school needs <schoolId> and --name');
+
+  const school = {
+    ...SCHOOL_DEFAULTS,
+    name: flags.name,
+    timeZone: typeof flags['time-zone'] === 'string' ? flags['time-zone'] : SCHOOL_DEFAULTS.timeZone,
+    weekStart: flags['week-start'] === 'monday' ? 'monday' : SCHOOL_DEFAULTS.weekStart,
+    specialsMode: flags['specials-mode'] === 'MF' ? 'MF' : SCHOOL_DEFAULTS.specialsMode,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: school.timeZone });
+  } catch (err) {
+    fail(`Unknown time zone ${school.timeZone}`);
+  }
+
+  try {
+    // create() refuses to overwrite an existing school
+    await admin.firestore().doc(`schools/${schoolId}`).create(school);
+  } catch (err) {
+    if (err.code === 6) fail(`School ${schoolId} already exists`); // ALREADY_EXISTS
+    throw err;
+  }
+
+  console.log(`Created school ${schoolId} (${school.name}, ${school.timeZone}, weeks start ${school.weekStart}, specials ${school.specialsMode})`);
+}
+
+async function addAdmin(schoolId, email, flags) {
+  email = (email || '').trim().toLowerCase();
+  if (!schoolId || !EMAIL_PATTERN.test(email)) fail('add-admin needs <schoolId> and a valid <email>');
+
+  const db = admin.firestore();
+  const schoolSnap = await db.doc(`schools/${schoolId}`).get();
+  if (!schoolSnap.exists) fail(`School ${schoolId} does not exist; run create-school first`);
+
+  let user;
+  let created = false;
+  try {
+    user = await admin.auth().getUserByEmail(email);
+  } catch (err) {
+    if (err.code !== 'auth/user-not-found') throw err;
+    const displayName = typeof flags.name === 'string' ? flags.name : email.split('@')[0];
+    user = await admin.auth().createUser({ email, displayName, emailVerified: false });
+    created = true;
+  }
+
+  const staffRef = db.doc(`schools/${schoolId}/staff/${user.uid}`);
+  const staffSnap = await staffRef.get();
+  const current = staffSnap.exists ? staffRoles(staffSnap.data()) : [];
+  const roles = [...new Set([...current, 'admin'])];
+
+  await staffRef.set({
+    email,
+    displayName: user.displayName || email.split('@')[0],
+    roles,
+    schoolId,
+    active: true,
+    createdAt: staffSnap.exists ? staffSnap.data().createdAt || null : admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  await setMembership(user.uid, schoolId, roles);
+  await syncUserClaims(user.uid, schoolId);
+  await staffRef.update({ claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  console.log(`${email} (${user.uid}) is an admin of ${schoolId} with roles: ${roles.join(', ')}`);
+  if (created) {
+    console.log(`Account created. Password setup link:\n${await admin.auth().generatePasswordResetLink(email)}`);
+  }
+}
+
+async function listStaff(schoolId) {
+  if (!schoolId) fail('list-staff needs <schoolId>');
+
+  const snapshot = await admin.firestore().collection(`schools/${schoolId}/staff`).get();
+  if (snapshot.empty) {
+    console.log(`No staff in ${schoolId}`);
+    return;
+  }
+
+  const rows = [];
+  for (const staffDoc of snapshot.docs) {
+    const staff = staffDoc.data();
+    const roles = staffRoles(staff);
+    const claimRoles = await getClaimRoles(staffDoc.id, schoolId);
+
+    let status = 'ok';
+    if (claimRoles === null) status = 'no auth account';
+    else if (!sameRoles(roles, claimRoles)) status = `claims: ${claimRoles.join(',') || 'none'}`;
+
+    rows.push({
+      uid: staffDoc.id,
+      email: staff.email || '',
+      roles: roles.join(',') || (staff.active === false ? '(removed)' : 'none'),
+      status
+    });
+  }
+
+  console.table(rows);
+}
+
+async function repairClaims(schoolId, flags) {
+  if (!schoolId) fail('repair-claims needs <schoolId>');
+
+  const db = admin.firestore();
+  const dryRun = flags['dry-run'] === true;
+  const snapshot = await db.collection(`schools/${schoolId}/staff`).get();
+  let repaired = 0;
+  let missing = 0;
+
+  for (const staffDoc of snapshot.docs) {
+    const uid = staffDoc.id;
+    const roles = staffRoles(staffDoc.data());
+    const claimRoles = await getClaimRoles(uid, schoolId);
+
+    if (claimRoles === null) {
+      // Older staff docs were keyed by email prefix instead of uid
+      console.log(`${uid}: no Auth account with this uid; re-invite ${staffDoc.data().email || 'them'} from the admin page`);
+      missing++;
+      continue;
+    }
+
+    const membershipSnap = await db.doc(`memberships/${uid}`).get();
+    const memberRoles = membershipSnap.exists ? membershipSnap.data().schools?.[schoolId]?.roles || [] : [];
+    if (sameRoles(roles, claimRoles) && sameRoles(roles, memberRoles)) continue;
+
+    console.log(`${uid}: staff doc ${roles.join(',') || 'none'}, claims ${claimRoles.join(',') || 'none'}, membership ${memberRoles.join(',') || 'none'}`);
+    repaired++;
+    if (dryRun) continue;
+
+    await setMembership(uid, schoolId, roles);
+    await syncUserClaims(uid);
+    await staffDoc.ref.update({ claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  console.log(`${dryRun ? 'Would repair' : 'Repaired'} ${repaired} of ${snapshot.size} staff; ${missing} without an Auth account`);
+}
+
+async function main() {
+  const { args, flags } = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = args;
+
+  if (!command || flags.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (flags.emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+    process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099';
+  }
+
+  const projectId = resolveProjectId(flags);
+  if (!projectId) fail('No project: pass --project or set GCLOUD_PROJECT');
+  admin.initializeApp({ projectId });
+  console.log(`Project ${projectId}${flags.emulator ? ' (emulator)' : ''}`);
+
+  switch (command) {
+    case 'create-school':
+      return createSchool(rest[0], flags);
+    case 'add-admin':
+      return addAdmin(rest[0], rest[1], flags);
+    case 'list-staff':
+      return listStaff(rest[0]);
+    case 'repair-claims':
+      return repairClaims(rest[0], flags);
+    default:
+      fail(`Unknown command ${command}\n\n${USAGE}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.userFacing ? err.message : err);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -1,10 +1,14 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
 admin.initializeApp();
 
+const { setMembership, loadMemberships, syncUserClaims } = require('./memberships');
+
 /**
  * Set custom claims for a user (admin only)
- * Call from admin.html when roles change
+ * Call from admin.html when roles change. The first admin of a school is
+ * provisioned with bin/provision.js, not through this function.
  */
 exports.setCustomClaims = functions.https.onCall(async (data, context) => {
   // Verify caller is authenticated
@@ -15,14 +19,10 @@ exports.setCustomClaims = functions.https.onCall(async (data, context) => {
     );
   }
 
-  // Verify caller is admin (check existing claims or allow first admin)
+  // Verify caller is admin
   const callerClaims = context.auth.token;
-  const isAdmin = callerClaims.roles?.includes('admin');
-  
-  // For first admin setup, allow if no existing claims
-  const firstTimeSetup = !callerClaims.roles;
   
-  if (!isAdmin && !firstTimeSetup) {
+  if (!callerClaims.roles?.includes('admin')) {
     throw new functions.https.HttpsError(
       'permission-denied', 
       'Only admins can set custom claims'
@@ -39,12 +39,17 @@ exports.setCustomClaims = functions.https.onCall(async (data, context) => {
     );
   }
 
+  // Admins manage their active school only
+  if (schoolId !== callerClaims.schoolId) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Admins can only set claims in their own school'
+    );
+  }
+
   try {
-    // Set custom claims on the user
-    await admin.auth().setCustomUserClaims(uid, { 
-      roles, 
-      schoolId 
-    });
+    await setMembership(uid, schoolId, roles);
+    await syncUserClaims(uid);
 
     // Also update staff document
     await admin.firestore()
@@ -67,47 +72,1823 @@ exports.setCustomClaims = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Trigger: When staff document is created/updated
- * Automatically sync custom claims
- * Only runs when roles or schoolId fields change
+ * Trigger: When staff document is created/updated/deleted
+ * Keep the membership directory and custom claims in sync
+ * Only runs when roles actually change
  */
 exports.syncStaffClaims = functions.firestore
   .document('schools/{schoolId}/staff/{uid}')
   .onWrite(async (change, context) => {
     const { schoolId, uid } = context.params;
     
-    // If document deleted, skip
-    if (!change.after.exists) {
-      console.log(`Staff document deleted for ${uid}, skipping claim sync`);
-      return null;
-    }
-    
-    const newData = change.after.data();
+    const newData = change.after.exists ? change.after.data() : {};
     const oldData = change.before.exists ? change.before.data() : {};
     
-    const roles = newData.roles || [];
+    // Removing the staff doc removes the membership
+    const roles = change.after.exists ? newData.roles || [] : [];
     
-    // Only sync if roles or schoolId actually changed
-    const rolesChanged = JSON.stringify(oldData.roles) !== JSON.stringify(roles);
-    const schoolIdChanged = oldData.schoolId !== schoolId;
+    // Only sync if roles actually changed
+    const rolesChanged = JSON.stringify(oldData.roles || []) !== JSON.stringify(roles);
     
-    if (!rolesChanged && !schoolIdChanged && change.before.exists) {
-      console.log(`No role/schoolId changes for ${uid}, skipping claim sync`);
+    if (!rolesChanged && change.before.exists && change.after.exists) {
+      console.log(`No role changes for ${uid}, skipping claim sync`);
       return null;
     }
     
     try {
-      // Set custom claims
-      await admin.auth().setCustomUserClaims(uid, {
-        roles,
-        schoolId
-      });
+      await setMembership(uid, schoolId, roles);
+      const claims = await syncUserClaims(uid);
+      
+      if (change.after.exists) {
+        // Signed-in clients watch this stamp and refresh their token
+        // (re-triggers this function, which skips since roles are unchanged)
+        await change.after.ref.update({
+          claimsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } else {
+        // A hard-deleted staff doc signs the user out like removeStaff does
+        await admin.auth().revokeRefreshTokens(uid);
+      }
       
-      console.log(`Claims synced for ${uid}:`, { roles, schoolId });
+      console.log(`Claims synced for ${uid}:`, claims);
       return null;
       
     } catch (error) {
       console.error(`Error syncing claims for ${uid}:`, error);
       return null;
     }
+  });
+
+// ============================================================================
+// STAFF INVITATIONS
+// Staff docs are keyed by Firebase Auth uid (syncStaffClaims applies their
+// roles to that user), so staff are added through inviteStaff, which finds
+// or creates the account first. Claims are set before the invite returns,
+// so the roles are in the token from the invitee's first sign-in.
+// ============================================================================
+
+const STAFF_ROLES = ['teacher', 'specials', 'achievement', 'admin', 'parent'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Invite a staff member to the caller's school (admin only)
+ * data: { email, displayName?, roles, continueUrl? }
+ * Returns { uid, created, setupLink }. setupLink is a password setup link
+ * for accounts created here (null for existing accounts); continueUrl is
+ * where it lands afterwards and must be on an authorized domain.
+ */
+exports.inviteStaff = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to invite staff'
+    );
+  }
+  
+  const token = context.auth.token;
+  if (!token.roles?.includes('admin')) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Only admins can invite staff'
+    );
+  }
+  
+  if (token.imitation) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      'Stop imitating before inviting staff'
+    );
+  }
+  
+  const schoolId = token.schoolId;
+  const email = String(data?.email || '').trim().toLowerCase();
+  const roles = Array.isArray(data?.roles) ? [...new Set(data.roles)] : [];
+  const displayName = String(data?.displayName || '').trim() || email.split('@')[0];
+  
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'A valid email is required'
+    );
+  }
+  
+  if (roles.length === 0 || roles.some(role => !STAFF_ROLES.includes(role))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      `roles must be one or more of ${STAFF_ROLES.join(', ')}`
+    );
+  }
+  
+  let user;
+  let created = false;
+  try {
+    user = await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error looking up invitee:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to look up account: ' + error.message);
+    }
+    user = await admin.auth().createUser({ email, displayName, emailVerified: false });
+    created = true;
+  }
+  
+  const db = admin.firestore();
+  const staffRef = db.doc(`schools/${schoolId}/staff/${user.uid}`);
+  const staffSnap = await staffRef.get();
+  if (staffSnap.exists && (staffSnap.data().roles || []).length > 0) {
+    throw new functions.https.HttpsError(
+      'already-exists', 
+      `${email} is already on staff at this school`
+    );
+  }
+  
+  try {
+    await staffRef.set({
+      email,
+      displayName: user.displayName || displayName,
+      roles,
+      schoolId,
+      active: true,
+      invitedBy: context.auth.uid,
+      invitedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: staffSnap.exists ? staffSnap.data().createdAt || null : admin.firestore.FieldValue.serverTimestamp(),
+      // Re-inviting someone who was removed
+      removedAt: admin.firestore.FieldValue.delete(),
+      removedBy: admin.firestore.FieldValue.delete()
+    }, { merge: true });
+    
+    // syncStaffClaims would do this too; doing it here means the claims are
+    // in place before anyone follows the setup link
+    await setMembership(user.uid, schoolId, roles);
+    await syncUserClaims(user.uid);
+    
+    const setupLink = created
+      ? await admin.auth().generatePasswordResetLink(
+          email,
+          data?.continueUrl ? { url: data.continueUrl } : undefined
+        )
+      : null;
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: context.auth.uid,
+      asRole: 'admin',
+      asUserId: context.auth.uid,
+      action: 'staff_invite',
+      target: user.uid,
+      details: { email, roles, accountCreated: created }
+    });
+    
+    return { uid: user.uid, created, setupLink };
+    
+  } catch (error) {
+    console.error('Error inviting staff:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to invite staff: ' + error.message
+    );
+  }
+});
+
+/**
+ * Check the caller is an admin (not imitating) and load a staff member of
+ * their school
+ * @param {Object} context - Callable context
+ * @param {string} uid - Staff member
+ * @param {string} verb - For error messages, e.g. 'edit staff'
+ * @returns {Promise<Object>} { schoolId, staffRef, staff }
+ */
+async function requireStaffAdmin(context, uid, verb) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      `Must be logged in to ${verb}`
+    );
+  }
+  
+  const token = context.auth.token;
+  if (!token.roles?.includes('admin') || token.imitation) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      `Only admins can ${verb}`
+    );
+  }
+  
+  if (!uid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'uid is required'
+    );
+  }
+  
+  const schoolId = token.schoolId;
+  const staffRef = admin.firestore().doc(`schools/${schoolId}/staff/${uid}`);
+  const staffSnap = await staffRef.get();
+  if (!staffSnap.exists) {
+    throw new functions.https.HttpsError(
+      'not-found', 
+      'No such staff member in this school'
+    );
+  }
+  
+  return { schoolId, staffRef, staff: staffSnap.data() };
+}
+
+/**
+ * Whether a user holds roles at any school besides this one. Auth accounts
+ * are shared across schools, so one school's admin may only change or sign
+ * out the account of someone who belongs to no other school.
+ * @param {string} uid 
+ * @param {string} schoolId 
+ * @returns {Promise<boolean>}
+ */
+async function belongsToOtherSchools(uid, schoolId) {
+  const claims = (await admin.auth().getUser(uid)).customClaims || {};
+  const memberships = await loadMemberships(uid, claims);
+  return Object.entries(memberships)
+    .some(([id, membership]) => id !== schoolId && (membership.roles || []).length > 0);
+}
+
+/**
+ * Edit a staff member's profile (admin only)
+ * data: { uid, displayName, email, subjects, homeroom }
+ * Name and email changes are applied to the Auth account as well, unless
+ * the user belongs to another school; then only this school's staff record
+ * changes. A changed email must be verified again.
+ * Returns { changes, accountUpdated }.
+ */
+exports.updateStaff = functions.https.onCall(async (data, context) => {
+  const { schoolId, staffRef, staff } = await requireStaffAdmin(context, data?.uid, 'edit staff');
+  
+  const email = String(data.email || '').trim().toLowerCase();
+  const displayName = String(data.displayName || '').trim();
+  const homeroom = String(data.homeroom || '').trim() || null;
+  const subjects = Array.isArray(data.subjects) ? [...new Set(data.subjects.map(String))] : [];
+  
+  if (!EMAIL_PATTERN.test(email) || !displayName) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'A display name and valid email are required'
+    );
+  }
+  
+  const updates = { email, displayName, subjects, homeroom };
+  const changes = Object.keys(updates)
+    .filter(field => JSON.stringify(staff[field] ?? null) !== JSON.stringify(updates[field]))
+    .map(field => ({ field, from: staff[field] ?? null, to: updates[field] }));
+  
+  if (changes.length === 0) return { changes, accountUpdated: false };
+  
+  let accountUpdated = false;
+  try {
+    const emailChanged = changes.some(change => change.field === 'email');
+    const nameChanged = changes.some(change => change.field === 'displayName');
+    if ((emailChanged || nameChanged) && !(await belongsToOtherSchools(data.uid, schoolId))) {
+      await admin.auth().updateUser(data.uid, {
+        email,
+        displayName,
+        ...(emailChanged ? { emailVerified: false } : {})
+      });
+      accountUpdated = true;
+    }
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      throw new functions.https.HttpsError(
+        'already-exists', 
+        `Another account already uses ${email}`
+      );
+    }
+    console.error('Error updating staff account:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update account: ' + error.message);
+  }
+  
+  try {
+    await staffRef.update({
+      ...updates,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: context.auth.uid,
+      asRole: 'admin',
+      asUserId: context.auth.uid,
+      action: 'staff_update',
+      target: data.uid,
+      details: { changes, accountUpdated }
+    });
+    
+    return { changes, accountUpdated };
+    
+  } catch (error) {
+    console.error('Error updating staff:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to update staff: ' + error.message
+    );
+  }
+});
+
+/**
+ * Remove a staff member from the caller's school (admin only)
+ * The record is kept but deactivated and their roles here are cleared from
+ * the membership directory and claims. Someone who belongs to no other
+ * school also has their refresh tokens revoked so they are signed out
+ * everywhere; anyone else keeps their other schools. Students must be
+ * reassigned first (admin.html does this with transferStudent).
+ * data: { uid }
+ */
+exports.removeStaff = functions.https.onCall(async (data, context) => {
+  const { schoolId, staffRef, staff } = await requireStaffAdmin(context, data?.uid, 'remove staff');
+  const uid = data.uid;
+  
+  if (uid === context.auth.uid) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      'Admins cannot remove themselves'
+    );
+  }
+  
+  const db = admin.firestore();
+  const studentsSnap = await db.collection(`schools/${schoolId}/students`)
+    .where('teacherId', '==', uid)
+    .get();
+  const assigned = studentsSnap.docs.filter(studentDoc => !studentDoc.data().archived);
+  if (assigned.length > 0) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      `Reassign their ${assigned.length} students first`
+    );
+  }
+  
+  try {
+    await staffRef.update({
+      roles: [],
+      previousRoles: staff.roles || [],
+      active: false,
+      removedBy: context.auth.uid,
+      removedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    // syncStaffClaims repeats this; done here so the revocation below
+    // cannot race ahead of the claim change
+    await setMembership(uid, schoolId, []);
+    await syncUserClaims(uid);
+    const signedOut = !(await belongsToOtherSchools(uid, schoolId));
+    if (signedOut) await admin.auth().revokeRefreshTokens(uid);
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: context.auth.uid,
+      asRole: 'admin',
+      asUserId: context.auth.uid,
+      action: 'staff_remove',
+      target: uid,
+      details: { email: staff.email || null, roles: staff.roles || [], signedOut }
+    });
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('Error removing staff:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to remove staff: ' + error.message
+    );
+  }
+});
+
+// ============================================================================
+// PARENT LINKS
+// A school hands a parent a single-use code for one student. Redeeming it
+// links the parent's account to that student, whatever email they signed
+// up with: the link is recorded in schools/{sid}/parent_links and the
+// parent's uid is added to the student's parentUids, which Firestore rules
+// check. Codes live in top-level parent_link_codes/{code} so they can be
+// redeemed before the parent belongs to any school.
+// ============================================================================
+
+const PARENT_LINK_CODE_DAYS = 14;
+
+// No 0/O, 1/I/L: codes are read aloud and typed from paper
+const PARENT_LINK_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PARENT_LINK_CODE_LENGTH = 8;
+
+/**
+ * Random link code, e.g. 'K7MQ2ZTA'
+ * @returns {string}
+ */
+function generateParentLinkCode() {
+  const bytes = crypto.randomBytes(PARENT_LINK_CODE_LENGTH);
+  return Array.from(bytes, byte => PARENT_LINK_CODE_ALPHABET[byte % PARENT_LINK_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Canonical form of a typed code (case, spaces and dashes ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeParentLinkCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Check the caller may manage parent links (admin or achievement, not
+ * imitating)
+ * @param {Object} context - Callable context
+ * @param {string} verb - For error messages
+ * @returns {Object} { schoolId, role }
+ */
+function requireParentLinkManager(context, verb) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      `Must be logged in to ${verb}`
+    );
+  }
+  
+  const token = context.auth.token;
+  const role = ['admin', 'achievement'].find(r => token.roles?.includes(r));
+  if (!role || token.imitation) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      `Only admins and the achievement team can ${verb}`
+    );
+  }
+  
+  return { schoolId: token.schoolId, role };
+}
+
+/**
+ * Issue a link code for a student
+ * data: { studentId }
+ * Returns { code, expiresAt } (expiresAt in milliseconds)
+ */
+exports.createParentLinkCode = functions.https.onCall(async (data, context) => {
+  const { schoolId, role } = requireParentLinkManager(context, 'create parent link codes');
+  const studentId = data?.studentId;
+  
+  if (!studentId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'studentId is required'
+    );
+  }
+  
+  const db = admin.firestore();
+  const studentSnap = await db.doc(`schools/${schoolId}/students/${studentId}`).get();
+  if (!studentSnap.exists || studentSnap.data().archived) {
+    throw new functions.https.HttpsError(
+      'not-found', 
+      'No such student in this school'
+    );
+  }
+  
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + PARENT_LINK_CODE_DAYS * 24 * 60 * 60 * 1000
+  );
+  
+  try {
+    // create() fails on the rare collision with an existing code; retry
+    let code;
+    for (let attempt = 0; !code; attempt++) {
+      const candidate = generateParentLinkCode();
+      try {
+        await db.doc(`parent_link_codes/${candidate}`).create({
+          schoolId,
+          studentId,
+          createdBy: context.auth.uid,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt,
+          usedBy: null,
+          usedAt: null,
+          revokedBy: null,
+          revokedAt: null
+        });
+        code = candidate;
+      } catch (error) {
+        if (error.code !== 6 || attempt >= 4) throw error; // ALREADY_EXISTS
+      }
+    }
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: context.auth.uid,
+      asRole: role,
+      asUserId: context.auth.uid,
+      action: 'parent_code_create',
+      target: studentId,
+      studentId,
+      details: { expiresAt: expiresAt.toMillis() }
+    });
+    
+    return { code, expiresAt: expiresAt.toMillis() };
+    
+  } catch (error) {
+    console.error('Error creating parent link code:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to create link code: ' + error.message
+    );
+  }
+});
+
+/**
+ * Withdraw a code that has not been used yet
+ * data: { code }
+ */
+exports.revokeParentLinkCode = functions.https.onCall(async (data, context) => {
+  const { schoolId, role } = requireParentLinkManager(context, 'revoke parent link codes');
+  const code = normalizeParentLinkCode(data?.code);
+  
+  const codeRef = admin.firestore().doc(`parent_link_codes/${code || '-'}`);
+  const codeSnap = await codeRef.get();
+  if (!codeSnap.exists || codeSnap.data().schoolId !== schoolId) {
+    throw new functions.https.HttpsError(
+      'not-found', 
+      'No such link code in this school'
+    );
+  }
+  
+  const linkCode = codeSnap.data();
+  if (linkCode.usedAt || linkCode.revokedAt) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      'This code has already been used or revoked'
+    );
+  }
+  
+  await codeRef.update({
+    revokedBy: context.auth.uid,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  await appendAuditEntry(schoolId, {
+    actedBy: context.auth.uid,
+    asRole: role,
+    asUserId: context.auth.uid,
+    action: 'parent_code_revoke',
+    target: linkCode.studentId,
+    studentId: linkCode.studentId,
+    details: null
+  });
+  
+  return { success: true };
+});
+
+/**
+ * Redeem a link code as the signed-in user
+ * Grants the parent role in the code's school (keeping any other roles
+ * there) and makes that school active. The client must refresh its ID token.
+ * data: { code }
+ * Returns { schoolId, studentId, studentName }
+ */
+exports.redeemParentLinkCode = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to link an account'
+    );
+  }
+  
+  if (context.auth.token.imitation) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      'Stop imitating before linking an account'
+    );
+  }
+  
+  const uid = context.auth.uid;
+  const code = normalizeParentLinkCode(data?.code);
+  if (code.length !== PARENT_LINK_CODE_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      `Link codes are ${PARENT_LINK_CODE_LENGTH} letters and numbers`
+    );
+  }
+  
+  const db = admin.firestore();
+  const codeRef = db.doc(`parent_link_codes/${code}`);
+  
+  // Marking the code used and linking happen together, so two accounts
+  // racing on one code cannot both succeed
+  const { schoolId, studentId, studentName } = await db.runTransaction(async (tx) => {
+    const codeSnap = await tx.get(codeRef);
+    const linkCode = codeSnap.exists ? codeSnap.data() : null;
+    
+    if (!linkCode || linkCode.revokedAt) {
+      throw new functions.https.HttpsError('not-found', 'This link code is not valid');
+    }
+    if (linkCode.usedAt) {
+      throw new functions.https.HttpsError('failed-precondition', 'This link code has already been used');
+    }
+    if (linkCode.expiresAt.toMillis() <= Date.now()) {
+      throw new functions.https.HttpsError('failed-precondition', 'This link code has expired; ask the school for a new one');
+    }
+    
+    const studentRef = db.doc(`schools/${linkCode.schoolId}/students/${linkCode.studentId}`);
+    const studentSnap = await tx.get(studentRef);
+    if (!studentSnap.exists || studentSnap.data().archived) {
+      throw new functions.https.HttpsError('not-found', 'This link code is not valid');
+    }
+    
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.update(codeRef, { usedBy: uid, usedAt: now });
+    tx.update(studentRef, { parentUids: admin.firestore.FieldValue.arrayUnion(uid) });
+    tx.set(db.doc(`schools/${linkCode.schoolId}/parent_links/${uid}_${linkCode.studentId}`), {
+      parentUid: uid,
+      studentId: linkCode.studentId,
+      email: context.auth.token.email || null,
+      code,
+      active: true,
+      linkedAt: now,
+      revokedBy: null,
+      revokedAt: null
+    });
+    
+    return { 
+      schoolId: linkCode.schoolId, 
+      studentId: linkCode.studentId, 
+      studentName: studentSnap.data().name || '' 
+    };
+  });
+  
+  try {
+    const staffRef = db.doc(`schools/${schoolId}/staff/${uid}`);
+    const staffSnap = await staffRef.get();
+    const staff = staffSnap.exists ? staffSnap.data() : {};
+    const currentRoles = staff.active === false ? [] : staff.roles || [];
+    
+    if (!currentRoles.includes('parent')) {
+      const user = await admin.auth().getUser(uid);
+      const roles = [...currentRoles, 'parent'];
+      
+      await staffRef.set({
+        email: staff.email || user.email || null,
+        displayName: staff.displayName || user.displayName || (user.email || '').split('@')[0],
+        roles,
+        schoolId,
+        active: true,
+        createdAt: staff.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+        removedAt: admin.firestore.FieldValue.delete(),
+        removedBy: admin.firestore.FieldValue.delete()
+      }, { merge: true });
+      
+      // As in inviteStaff: claims are in place before the call returns
+      await setMembership(uid, schoolId, roles);
+    }
+    
+    await syncUserClaims(uid, schoolId);
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: uid,
+      asRole: 'parent',
+      asUserId: uid,
+      action: 'parent_link',
+      target: studentId,
+      studentId,
+      details: { email: context.auth.token.email || null }
+    });
+    
+    return { schoolId, studentId, studentName };
+    
+  } catch (error) {
+    console.error('Error granting parent role:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Linked, but failed to update your account: ' + error.message
+    );
+  }
+});
+
+/**
+ * Unlink a parent from a student
+ * Access ends at once (rules read parentUids). The parent role is kept,
+ * since the parent may be linked to other students or by email.
+ * data: { linkId }
+ */
+exports.revokeParentLink = functions.https.onCall(async (data, context) => {
+  const { schoolId, role } = requireParentLinkManager(context, 'revoke parent links');
+  
+  const db = admin.firestore();
+  const linkRef = db.doc(`schools/${schoolId}/parent_links/${data?.linkId || '-'}`);
+  const linkSnap = await linkRef.get();
+  if (!linkSnap.exists || !linkSnap.data().active) {
+    throw new functions.https.HttpsError(
+      'not-found', 
+      'No such active parent link'
+    );
+  }
+  
+  const link = linkSnap.data();
+  const batch = db.batch();
+  batch.update(linkRef, {
+    active: false,
+    revokedBy: context.auth.uid,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.update(db.doc(`schools/${schoolId}/students/${link.studentId}`), {
+    parentUids: admin.firestore.FieldValue.arrayRemove(link.parentUid)
+  });
+  await batch.commit();
+  
+  await appendAuditEntry(schoolId, {
+    actedBy: context.auth.uid,
+    asRole: role,
+    asUserId: context.auth.uid,
+    action: 'parent_link_revoke',
+    target: link.studentId,
+    studentId: link.studentId,
+    details: { parentUid: link.parentUid, email: link.email || null }
+  });
+  
+  return { success: true };
+});
+
+/**
+ * Make another of the caller's schools the active one
+ * With no schoolId, picks one from the membership directory (for users
+ * whose claims predate it). The client must refresh its ID token.
+ */
+exports.switchSchool = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to switch schools'
+    );
+  }
+  
+  const uid = context.auth.uid;
+  const token = context.auth.token;
+  const schoolId = data?.schoolId || null;
+  
+  const memberships = await loadMemberships(uid, token);
+  
+  if (schoolId ? !memberships[schoolId] : Object.keys(memberships).length === 0) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Not a member of that school'
+    );
+  }
+  
+  try {
+    // An imitation session belongs to the school it was started in
+    if (token.imitation && token.schoolId && schoolId && schoolId !== token.schoolId) {
+      await endImitationSession(token.schoolId, uid, 'imitation_stop');
+    }
+    
+    const claims = await syncUserClaims(uid, schoolId);
+    return { schoolId: claims.schoolId, roles: claims.roles };
+    
+  } catch (error) {
+    console.error('Error switching school:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to switch school: ' + error.message
+    );
+  }
+});
+
+// Shared scoring module. firebase.json's predeploy step copies
+// scripts/scoring.js here so the browser and server use identical math.
+let scoringModule = null;
+function loadScoring() {
+  if (!scoringModule) {
+    scoringModule = import('./shared/scoring.mjs');
+  }
+  return scoringModule;
+}
+
+/**
+ * Trigger: When a plan day is written
+ * Recompute totals server-side so concurrent scorers can't leave stale
+ * percentages. Clients are not allowed to write `totals` (see rules).
+ * Days are scored against the plan version recorded in `planVersion`,
+ * stamped with the current version the first time the day is totalled and
+ * never changed after, so later plan edits don't rescore past days.
+ */
+exports.computeDayTotals = functions.firestore
+  .document('schools/{schoolId}/plans/{planId}/days/{dayKey}')
+  .onWrite(async (change, context) => {
+    const { schoolId, planId, dayKey } = context.params;
+    
+    // Nothing to total on delete
+    if (!change.after.exists) return null;
+    
+    const { computeDayTotals, totalsEqual } = await loadScoring();
+    const db = admin.firestore();
+    const planRef = db.doc(`schools/${schoolId}/plans/${planId}`);
+    
+    try {
+      // Read the latest day inside a transaction so out-of-order trigger
+      // runs never overwrite newer totals with older ones
+      await db.runTransaction(async (tx) => {
+        const [planSnap, daySnap] = await Promise.all([
+          tx.get(planRef),
+          tx.get(change.after.ref)
+        ]);
+        
+        if (!planSnap.exists || !daySnap.exists) return;
+        
+        const dayData = daySnap.data();
+        const plan = planSnap.data();
+        const currentVersion = plan.version || 1;
+        const planVersion = dayData.planVersion || currentVersion;
+        
+        let scoredPlan = plan;
+        if (planVersion !== currentVersion) {
+          const revisionSnap = await tx.get(planRef.collection('revisions').doc(String(planVersion)));
+          if (revisionSnap.exists) scoredPlan = revisionSnap.data().plan;
+        }
+        
+        const totals = computeDayTotals(scoredPlan, dayData);
+        
+        // Also stops this trigger from re-firing on its own write
+        if (totalsEqual(totals, dayData.totals) && dayData.planVersion) return;
+        
+        tx.update(change.after.ref, {
+          totals,
+          planVersion,
+          totalsComputedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      
+      return null;
+      
+    } catch (error) {
+      console.error(`Error computing totals for ${planId}/${dayKey}:`, error);
+      return null;
+    }
+  });
+// Roster "subject" for periods of plans saved before periods had subjects;
+// those rosters are listed for every specials subject on that day
+const ANY_SUBJECT = 'any';
+
+/**
+ * Id of the specials roster index doc for a day code and subject.
+ * Must match specialsRosterId() in scripts/data.js.
+ */
+function specialsRosterId(dayCode, subject = ANY_SUBJECT) {
+  return `${dayCode}_${subject}`.replace(/\//g, '-');
+}
+
+/**
+ * Specials periods of a schedule: those with a rotation day and subject.
+ * A schedule with no subjects at all predates subject assignment, so every
+ * period with a rotation day counts, as it did before.
+ * @param {Object[]} schedule 
+ * @returns {Object[]}
+ */
+function getSpecialsPeriods(schedule) {
+  const periods = (schedule || []).filter(period => period.label);
+  const withSubject = periods.filter(period => period.subject);
+  return withSubject.length > 0 ? withSubject : periods;
+}
+
+/**
+ * Keep plan.specialsPeriodIds and plan.specialsPeriodsBySubject (which
+ * Firestore rules use to limit specials staff to the periods of their own
+ * subjects) in line with the plan's schedule
+ * @param {DocumentSnapshot} planSnap 
+ */
+async function syncSpecialsPeriodIds(planSnap) {
+  const plan = planSnap.data();
+  const periods = getSpecialsPeriods(plan.schedule);
+  const ids = periods.map(period => period.id);
+  const bySubject = {};
+  for (const period of periods) {
+    const subject = period.subject || ANY_SUBJECT;
+    bySubject[subject] = [...(bySubject[subject] || []), period.id];
+  }
+  
+  if (JSON.stringify(plan.specialsPeriodIds || null) !== JSON.stringify(ids) ||
+      !sameValue(plan.specialsPeriodsBySubject || null, bySubject)) {
+    await planSnap.ref.update({ specialsPeriodIds: ids, specialsPeriodsBySubject: bySubject });
+  }
+}
+
+/**
+ * Bring a student's entries in specials_rosters in line with the
+ * schedule of their active plan
+ * @param {string} schoolId 
+ * @param {string} studentId 
+ */
+async function reindexSpecialsStudent(schoolId, studentId) {
+  const db = admin.firestore();
+  const schoolRef = db.doc(`schools/${schoolId}`);
+  const rostersRef = schoolRef.collection('specials_rosters');
+  const { FieldValue, FieldPath } = admin.firestore;
+  
+  const studentSnap = await schoolRef.collection('students').doc(studentId).get();
+  const student = studentSnap.exists ? studentSnap.data() : null;
+  // Archived students come off every roster
+  const planId = student && !student.archived ? student.activePlanId : null;
+  
+  // Rosters this student belongs in, keyed by roster doc id
+  const wanted = new Map();
+  if (planId) {
+    const planSnap = await schoolRef.collection('plans').doc(planId).get();
+    const schedule = planSnap.exists ? (planSnap.data().schedule || []) : [];
+    
+    // Backfills plans saved before the field existed (see rebuildSpecialsRosters)
+    if (planSnap.exists) await syncSpecialsPeriodIds(planSnap);
+    
+    for (const period of getSpecialsPeriods(schedule)) {
+      const subject = period.subject || ANY_SUBJECT;
+      const rosterId = specialsRosterId(period.label, subject);
+      if (!wanted.has(rosterId)) {
+        wanted.set(rosterId, {
+          dayCode: period.label,
+          subject,
+          entry: { planId, periodId: period.id }
+        });
+      }
+    }
+  }
+  
+  const current = await rostersRef.where('studentIds', 'array-contains', studentId).get();
+  const batch = db.batch();
+  
+  for (const rosterDoc of current.docs) {
+    if (wanted.has(rosterDoc.id)) continue;
+    batch.update(rosterDoc.ref,
+      'studentIds', FieldValue.arrayRemove(studentId),
+      new FieldPath('students', studentId), FieldValue.delete(),
+      'updatedAt', FieldValue.serverTimestamp()
+    );
+  }
+  
+  for (const [rosterId, slot] of wanted) {
+    batch.set(rostersRef.doc(rosterId), {
+      dayCode: slot.dayCode,
+      subject: slot.subject,
+      studentIds: FieldValue.arrayUnion(studentId),
+      students: { [studentId]: slot.entry },
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+  
+  await batch.commit();
+}
+
+/**
+ * Trigger: When a plan is written
+ * Keep specials rosters in sync with schedule changes
+ */
+exports.indexSpecialsOnPlanWrite = functions.firestore
+  .document('schools/{schoolId}/plans/{planId}')
+  .onWrite(async (change, context) => {
+    const { schoolId, planId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    
+    // Only schedule changes affect rosters
+    if (before && after && 
+        JSON.stringify(before.schedule || []) === JSON.stringify(after.schedule || [])) {
+      return null;
+    }
+    
+    const studentId = after?.studentId || before?.studentId;
+    
+    try {
+      // Updating the field re-triggers this function, which then stops at
+      // the unchanged-schedule check above
+      if (after) await syncSpecialsPeriodIds(change.after);
+      if (!studentId) return null;
+      
+      await reindexSpecialsStudent(schoolId, studentId);
+      return null;
+    } catch (error) {
+      console.error(`Error indexing specials for plan ${planId}:`, error);
+      return null;
+    }
+  });
+
+/**
+ * Trigger: When a student is written
+ * Keep specials rosters in sync with active plan changes and removals
+ */
+exports.indexSpecialsOnStudentWrite = functions.firestore
+  .document('schools/{schoolId}/students/{studentId}')
+  .onWrite(async (change, context) => {
+    const { schoolId, studentId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    
+    if (before && after && before.activePlanId === after.activePlanId &&
+        Boolean(before.archived) === Boolean(after.archived)) {
+      return null;
+    }
+    
+    try {
+      await reindexSpecialsStudent(schoolId, studentId);
+      return null;
+    } catch (error) {
+      console.error(`Error indexing specials for student ${studentId}:`, error);
+      return null;
+    }
+  });
+
+/**
+ * Rebuild the specials roster index for the caller's school (admin only)
+ * Use after importing data or when rosters look out of date
+ */
+exports.rebuildSpecialsRosters = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to rebuild rosters'
+    );
+  }
+  
+  if (!context.auth.token.roles?.includes('admin')) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Only admins can rebuild rosters'
+    );
+  }
+  
+  const schoolId = context.auth.token.schoolId;
+  
+  try {
+    const students = await admin.firestore()
+      .collection(`schools/${schoolId}/students`)
+      .get();
+    
+    for (const studentDoc of students.docs) {
+      await reindexSpecialsStudent(schoolId, studentDoc.id);
+    }
+    
+    return { success: true, studentsIndexed: students.size };
+    
+  } catch (error) {
+    console.error('Error rebuilding specials rosters:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to rebuild rosters: ' + error.message
+    );
+  }
+});
+
+// ============================================================================
+// AUDIT LOG
+// Entries are written only by Cloud Functions and hash-chained: each hash
+// covers the entry and the previous entry's hash, so editing or removing
+// any entry breaks every hash after it. Changes to days, incidents, plans
+// and students are audited by triggers from the documents' before/after
+// state; callables audit their own actions. Either way the entry is only
+// queued in audit_queue, and chainAuditEntries moves queued entries onto
+// the chain in batches, so no write waits on (or contends for) the chain.
+// ============================================================================
+
+// Firestore caps batched reads; verify the chain in pages
+const AUDIT_VERIFY_PAGE_SIZE = 500;
+
+// Entries chained per transaction: a log write and a queue delete each,
+// plus the chain head, stay under the 500-write limit
+const AUDIT_CHAIN_BATCH_SIZE = 200;
+
+// Largest details object recordAudit accepts, as JSON (room for the
+// student and plan ids of the largest bulk plan assignment)
+const AUDIT_DETAILS_MAX_LENGTH = 10000;
+
+// Actions clients may record with recordAudit, and the roles that may
+// record each. Everything else is audited server-side.
+const CLIENT_AUDIT_ACTIONS = {
+  template_save: ['admin', 'achievement'],
+  template_delete: ['admin', 'achievement'],
+  plan_bulk_assign: ['admin', 'achievement'],
+  roster_import: ['admin', 'achievement'],
+  calendar_update: ['admin'],
+  school_profile_update: ['admin']
+};
+
+// Student fields whose edits are audited as student_update
+const STUDENT_AUDIT_FIELDS = ['name', 'grade', 'teacherId', 'parentEmails', 'sisId'];
+
+// Plan fields whose edits are audited (kept in line with PLAN_CONTENT_FIELDS in scripts/data.js)
+const PLAN_AUDIT_FIELDS = [
+  'studentId',
+  'teacherId',
+  'planType',
+  'schedule',
+  'goals',
+  'customButtons',
+  'incentives',
+  'periodCriterion',
+  'accommodations'
+];
+
+function stableStringify(value) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return JSON.stringify(value ?? null);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Hash of an audit entry chained to the previous hash
+ * @param {Object} entry - Stored entry fields (ts as a Timestamp)
+ * @param {string} prevHash 
+ * @returns {string} hex sha256
+ */
+function hashAuditEntry(entry, prevHash) {
+  const { hash, ts, ...fields } = entry;
+  const payload = stableStringify({ ...fields, ts: ts.toMillis(), prevHash });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Queue an entry for a school's audit chain (see chainAuditEntries)
+ * @param {string} schoolId 
+ * @param {Object} entry - { actedBy, asRole, asUserId, action, target, details, planId?, studentId? }
+ */
+async function appendAuditEntry(schoolId, entry) {
+  await admin.firestore().collection(`schools/${schoolId}/audit_queue`).add({
+    ts: admin.firestore.Timestamp.now(),
+    actedBy: entry.actedBy || null,
+    asRole: entry.asRole || null,
+    asUserId: entry.asUserId || entry.actedBy || null,
+    action: entry.action,
+    target: entry.target ?? null,
+    planId: entry.planId || null,
+    studentId: entry.studentId || null,
+    details: entry.details ?? null
+  });
+}
+
+/**
+ * Move a school's queued audit entries onto its hash chain, oldest first
+ * @param {string} schoolId 
+ * @returns {Promise<number>} Entries chained
+ */
+async function chainQueuedAuditEntries(schoolId) {
+  const db = admin.firestore();
+  const chainRef = db.doc(`schools/${schoolId}/audit_meta/chain`);
+  const queueQuery = db.collection(`schools/${schoolId}/audit_queue`)
+    .orderBy('ts')
+    .limit(AUDIT_CHAIN_BATCH_SIZE);
+  let chained = 0;
+  
+  for (;;) {
+    const count = await db.runTransaction(async (tx) => {
+      const chainSnap = await tx.get(chainRef);
+      const queued = await tx.get(queueQuery);
+      if (queued.empty) return 0;
+      
+      let { seq = 0, lastHash = '' } = chainSnap.exists ? chainSnap.data() : {};
+      
+      for (const queuedDoc of queued.docs) {
+        const entry = queuedDoc.data();
+        seq++;
+        const record = {
+          ...entry,
+          seq,
+          imitated: !!entry.asUserId && entry.asUserId !== entry.actedBy,
+          prevHash: lastHash
+        };
+        record.hash = hashAuditEntry(record, lastHash);
+        lastHash = record.hash;
+        
+        // Zero-padded ids keep document order equal to chain order
+        tx.set(db.doc(`schools/${schoolId}/audit_logs/${String(seq).padStart(10, '0')}`), record);
+        tx.delete(queuedDoc.ref);
+      }
+      
+      tx.set(chainRef, { seq, lastHash, updatedAt: admin.firestore.Timestamp.now() });
+      return queued.size;
+    });
+    
+    chained += count;
+    if (count < AUDIT_CHAIN_BATCH_SIZE) return chained;
+  }
+}
+
+/**
+ * Scheduled: chain every school's queued audit entries
+ */
+exports.chainAuditEntries = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async () => {
+    const schools = await admin.firestore().collection('schools').select().get();
+    
+    for (const schoolDoc of schools.docs) {
+      try {
+        await chainQueuedAuditEntries(schoolDoc.id);
+      } catch (error) {
+        // Entries stay queued and are picked up on the next run
+        console.error(`Error chaining audit entries for ${schoolDoc.id}:`, error);
+      }
+    }
+    
+    return null;
+  });
+
+/**
+ * Who made a change, for audit entries written by triggers. Whether they
+ * were imitating someone comes from their imitation session, never from
+ * the document.
+ * @param {string} schoolId 
+ * @param {string|null} uid - From the document's rules-checked actor field
+ * @returns {Promise<Object>} { actedBy, asRole, asUserId }
+ */
+async function resolveAuditActor(schoolId, uid) {
+  if (!uid) return { actedBy: null, asRole: null, asUserId: null };
+  
+  const db = admin.firestore();
+  const [sessionSnap, staffSnap] = await Promise.all([
+    db.doc(`schools/${schoolId}/imitation_sessions/${uid}`).get(),
+    db.doc(`schools/${schoolId}/staff/${uid}`).get()
+  ]);
+  
+  const session = sessionSnap.exists ? sessionSnap.data() : null;
+  if (session?.active && session.expiresAt.toMillis() > Date.now()) {
+    return { actedBy: uid, asRole: session.asRole, asUserId: session.targetUid };
+  }
+  
+  const roles = staffSnap.exists ? staffSnap.data().roles || [] : [];
+  return { actedBy: uid, asRole: roles[0] || null, asUserId: uid };
+}
+
+function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Trigger: When a day document is written
+ * Audit each scored cell and comment that changed. Writes that only touch
+ * server fields (totals, planVersion) record nothing.
+ */
+exports.auditDayWrite = functions.firestore
+  .document('schools/{schoolId}/plans/{planId}/days/{dayKey}')
+  .onWrite(async (change, context) => {
+    const { schoolId, planId, dayKey } = context.params;
+    if (!change.after.exists) return null;
+    
+    const before = change.before.exists ? change.before.data() : {};
+    const after = change.after.data();
+    const entries = [];
+    
+    const matrixBefore = before.matrix || {};
+    const matrixAfter = after.matrix || {};
+    for (const periodId of new Set([...Object.keys(matrixBefore), ...Object.keys(matrixAfter)])) {
+      const cellsBefore = matrixBefore[periodId] || {};
+      const cellsAfter = matrixAfter[periodId] || {};
+      for (const goalId of new Set([...Object.keys(cellsBefore), ...Object.keys(cellsAfter)])) {
+        const value = cellsAfter[goalId] ?? null;
+        if (sameValue(cellsBefore[goalId] ?? null, value)) continue;
+        entries.push({ action: 'matrix_cell_update', details: { periodId, goalId, value } });
+      }
+    }
+    
+    const commentsBefore = before.comments || {};
+    const commentsAfter = after.comments || {};
+    if ((commentsBefore.teacher || '') !== (commentsAfter.teacher || '')) {
+      entries.push({ action: 'comment_save', details: { role: 'teacher', textLength: (commentsAfter.teacher || '').length } });
+    }
+    const specialsBefore = commentsBefore.specials || {};
+    const specialsAfter = commentsAfter.specials || {};
+    for (const role of new Set([...Object.keys(specialsBefore), ...Object.keys(specialsAfter)])) {
+      if ((specialsBefore[role] || '') === (specialsAfter[role] || '')) continue;
+      entries.push({ action: 'comment_save', details: { role, textLength: (specialsAfter[role] || '').length } });
+    }
+    
+    if (entries.length === 0) return null;
+    
+    const db = admin.firestore();
+    const [actor, planSnap] = await Promise.all([
+      resolveAuditActor(schoolId, after.lastModifiedBy),
+      db.doc(`schools/${schoolId}/plans/${planId}`).get()
+    ]);
+    const studentId = planSnap.exists ? planSnap.data().studentId || null : null;
+    
+    for (const entry of entries) {
+      await appendAuditEntry(schoolId, {
+        ...actor,
+        ...entry,
+        planId,
+        studentId,
+        target: `${planId}/${dayKey}`
+      });
+    }
+    
+    return null;
+  });
+
+/**
+ * Trigger: When an incident is written
+ * Audit logging, note edits and voids, attributed to loggedBy, editedBy
+ * and voidedBy (which rules hold to the writer). A replayed log that finds
+ * the incident already saved writes nothing, so it is audited once.
+ */
+exports.auditIncidentWrite = functions.firestore
+  .document('schools/{schoolId}/plans/{planId}/days/{dayKey}/incidents/{incidentId}')
+  .onWrite(async (change, context) => {
+    const { schoolId, planId, dayKey, incidentId } = context.params;
+    if (!change.after.exists) return null;
+    
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.data();
+    const entries = [];
+    
+    if (!before) {
+      entries.push({
+        uid: after.loggedBy,
+        action: 'incident_log',
+        details: { label: after.label, source: after.source || null, hasNote: !!after.note }
+      });
+    } else {
+      if ((before.note || null) !== (after.note || null)) {
+        entries.push({ uid: after.editedBy, action: 'incident_edit', details: { hasNote: !!after.note } });
+      }
+      if (!before.voided && after.voided) {
+        entries.push({ uid: after.voidedBy, action: 'incident_void', details: { reason: after.voidReason || null } });
+      }
+    }
+    
+    if (entries.length === 0) return null;
+    
+    const planSnap = await admin.firestore().doc(`schools/${schoolId}/plans/${planId}`).get();
+    const studentId = planSnap.exists ? planSnap.data().studentId || null : null;
+    
+    for (const { uid, ...entry } of entries) {
+      await appendAuditEntry(schoolId, {
+        ...(await resolveAuditActor(schoolId, uid)),
+        ...entry,
+        planId,
+        studentId,
+        target: `${planId}/${dayKey}/${incidentId}`
+      });
+    }
+    
+    return null;
+  });
+
+/**
+ * Trigger: When a plan is written
+ * Audit new versions (create, update, restore) and any content change
+ * made without one. Status and index fields (active, specialsPeriodIds,
+ * specialsPeriodsBySubject) record nothing here; archiving is audited on the student.
+ */
+exports.auditPlanWrite = functions.firestore
+  .document('schools/{schoolId}/plans/{planId}')
+  .onWrite(async (change, context) => {
+    const { schoolId, planId } = context.params;
+    if (!change.after.exists) return null;
+    
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.data();
+    const version = after.version || 1;
+    const changedFields = PLAN_AUDIT_FIELDS.filter(field => 
+      !before || !sameValue(before[field] ?? null, after[field] ?? null));
+    
+    if (before && (before.version || 1) === version && changedFields.length === 0) return null;
+    
+    let action = 'plan_update';
+    let restoredFrom = null;
+    if (!before) {
+      action = 'plan_create';
+    } else if ((before.version || 1) !== version) {
+      const revisionSnap = await change.after.ref.collection('revisions').doc(String(version)).get();
+      restoredFrom = revisionSnap.exists ? revisionSnap.data().restoredFrom || null : null;
+      if (restoredFrom) action = 'plan_restore';
+    }
+    
+    await appendAuditEntry(schoolId, {
+      ...(await resolveAuditActor(schoolId, after.updatedBy)),
+      action,
+      target: planId,
+      planId,
+      studentId: after.studentId || null,
+      details: {
+        version,
+        restoredFrom,
+        planType: after.planType || null,
+        templateId: after.templateId || null,
+        ...(before ? { fields: changedFields } : {})
+      }
+    });
+    
+    return null;
+  });
+
+/**
+ * Trigger: When a student is written
+ * Audit creation, archiving and restoring, each transfer appended to
+ * `transfers`, and edits to STUDENT_AUDIT_FIELDS, attributed to updatedBy
+ */
+exports.auditStudentWrite = functions.firestore
+  .document('schools/{schoolId}/students/{studentId}')
+  .onWrite(async (change, context) => {
+    const { schoolId, studentId } = context.params;
+    if (!change.after.exists) return null;
+    
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.data();
+    const entries = [];
+    
+    if (!before) {
+      entries.push({
+        action: 'student_create',
+        details: { name: after.name || null, grade: after.grade || null, teacherId: after.teacherId || null }
+      });
+    } else {
+      if (!before.archived && after.archived) {
+        entries.push({
+          action: 'student_archive',
+          details: { name: after.name || null, deactivatedPlanId: after.archivedPlanId || null }
+        });
+      } else if (before.archived && !after.archived) {
+        entries.push({
+          action: 'student_restore',
+          details: { name: after.name || null, reactivatedPlanId: after.activePlanId || null }
+        });
+      }
+      
+      const transfers = (after.transfers || []).slice((before.transfers || []).length);
+      for (const transfer of transfers) {
+        entries.push({
+          action: 'student_transfer',
+          details: {
+            fromTeacherId: transfer.fromTeacherId || null,
+            toTeacherId: transfer.toTeacherId,
+            effectiveDate: transfer.effectiveDate
+          }
+        });
+      }
+      
+      // A teacher change recorded as a transfer is not an edit as well
+      const changes = STUDENT_AUDIT_FIELDS
+        .filter(field => !(field === 'teacherId' && transfers.length > 0))
+        .filter(field => !sameValue(before[field] ?? null, after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+      if (changes.length > 0) {
+        entries.push({ action: 'student_update', details: { changes } });
+      }
+    }
+    
+    if (entries.length === 0) return null;
+    
+    const actor = await resolveAuditActor(schoolId, after.updatedBy);
+    for (const entry of entries) {
+      await appendAuditEntry(schoolId, { ...actor, ...entry, target: studentId, studentId });
+    }
+    
+    return null;
+  });
+
+/**
+ * Record an audit entry for an action that changes no audited document
+ * (see CLIENT_AUDIT_ACTIONS). The actor is always the authenticated
+ * caller. Who they were acting as comes from their imitation session
+ * claim, never from the request.
+ */
+exports.recordAudit = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to record audit entries'
+    );
+  }
+  
+  const { action, target, details } = data || {};
+  const token = context.auth.token;
+  const schoolId = token.schoolId;
+  const imitation = getLiveImitation(token);
+  const roles = imitation ? imitation.roles : token.roles || [];
+  
+  if (!Object.prototype.hasOwnProperty.call(CLIENT_AUDIT_ACTIONS, action)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      `${action} is not an action clients can record`
+    );
+  }
+  
+  if (!schoolId || !CLIENT_AUDIT_ACTIONS[action].some(role => roles.includes(role))) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      `Caller cannot record ${action}`
+    );
+  }
+  
+  if ((target != null && (typeof target !== 'string' || target.length > 200)) ||
+      stableStringify(details ?? null).length > AUDIT_DETAILS_MAX_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      `target must be a short string and details at most ${AUDIT_DETAILS_MAX_LENGTH} characters of JSON`
+    );
+  }
+  
+  try {
+    await appendAuditEntry(schoolId, {
+      actedBy: context.auth.uid,
+      asRole: roles[0],
+      asUserId: imitation ? imitation.targetUid : context.auth.uid,
+      action,
+      target,
+      details
+    });
+    return { queued: true };
+  } catch (error) {
+    console.error('Error recording audit entry:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to record audit entry: ' + error.message
+    );
+  }
+});
+
+/**
+ * Recompute every hash in the caller's school audit chain (admin only)
+ * Returns the first broken link, if any
+ */
+exports.verifyAuditChain = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to verify the audit log'
+    );
+  }
+  
+  if (!context.auth.token.roles?.includes('admin') || context.auth.token.imitation) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Only admins can verify the audit log'
+    );
+  }
+  
+  const db = admin.firestore();
+  const schoolId = context.auth.token.schoolId;
+  const logsRef = db.collection(`schools/${schoolId}/audit_logs`);
+  
+  try {
+    const chainSnap = await db.doc(`schools/${schoolId}/audit_meta/chain`).get();
+    const expectedSeq = chainSnap.exists ? chainSnap.data().seq : 0;
+    
+    let prevHash = '';
+    let checked = 0;
+    let cursor = null;
+    
+    // Entries chained while this runs are past the head read above
+    for (;;) {
+      let pageQuery = logsRef.where('seq', '<=', expectedSeq).orderBy('seq').limit(AUDIT_VERIFY_PAGE_SIZE);
+      if (cursor) pageQuery = pageQuery.startAfter(cursor);
+      
+      const page = await pageQuery.get();
+      if (page.empty) break;
+      
+      for (const entryDoc of page.docs) {
+        const entry = entryDoc.data();
+        const expected = checked + 1;
+        
+        if (entry.seq !== expected) {
+          return { ok: false, checked, brokenAt: expected, reason: 'missing entry' };
+        }
+        if (entry.prevHash !== prevHash || hashAuditEntry(entry, prevHash) !== entry.hash) {
+          return { ok: false, checked, brokenAt: entry.seq, reason: 'hash mismatch' };
+        }
+        
+        prevHash = entry.hash;
+        checked++;
+      }
+      
+      cursor = page.docs[page.docs.length - 1];
+    }
+    
+    // Entries removed from the end only show up against the chain head
+    if (checked !== expectedSeq) {
+      return { ok: false, checked, brokenAt: checked + 1, reason: 'missing entry' };
+    }
+    
+    return { ok: true, checked };
+    
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to verify audit chain: ' + error.message
+    );
+  }
+});
+
+// ============================================================================
+// IMITATION SESSIONS
+// An admin imitating a staff member gets an `imitation` custom claim
+// ({ sid, targetUid, roles, scope, exp }) in their signed ID token and a
+// session doc at imitation_sessions/{adminUid}. Rules take roles from the
+// claim while it is present and only allow writes for a live 'write'
+// session whose sid matches the doc, so stopping takes effect at once.
+// ============================================================================
+
+const IMITATION_SCOPES = ['read', 'write'];
+const IMITATION_DEFAULT_MINUTES = 30;
+const IMITATION_MAX_MINUTES = 120;
+
+/**
+ * The caller's imitation claim, if it has not expired
+ * @param {Object} token - Decoded ID token
+ * @returns {Object|null} { sid, targetUid, roles, scope, exp }
+ */
+function getLiveImitation(token) {
+  const imitation = token.imitation;
+  if (!imitation || imitation.exp * 1000 <= Date.now()) return null;
+  return imitation;
+}
+
+/**
+ * End an admin's imitation session, drop the claim and audit it
+ * @param {string} schoolId 
+ * @param {string} uid - Imitating admin
+ * @param {string} action - 'imitation_stop' or 'imitation_expire'
+ * @returns {Promise<Object|null>} The ended session, or null if none was active
+ */
+async function endImitationSession(schoolId, uid, action) {
+  const db = admin.firestore();
+  const sessionRef = db.doc(`schools/${schoolId}/imitation_sessions/${uid}`);
+  
+  const session = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(sessionRef);
+    if (!snap.exists || !snap.data().active) return null;
+    
+    tx.update(sessionRef, {
+      active: false,
+      endedAt: admin.firestore.FieldValue.serverTimestamp(),
+      endReason: action
+    });
+    return snap.data();
+  });
+  
+  // Clear the claim even when the doc was already closed
+  const user = await admin.auth().getUser(uid);
+  const { imitation, ...claims } = user.customClaims || {};
+  if (imitation) {
+    await admin.auth().setCustomUserClaims(uid, claims);
+  }
+  
+  if (session) {
+    await appendAuditEntry(schoolId, {
+      actedBy: uid,
+      asRole: 'admin',
+      asUserId: uid,
+      action,
+      target: session.targetUid,
+      details: { sessionId: session.sessionId, asRole: session.asRole, scope: session.scope }
+    });
+  }
+  
+  return session;
+}
+
+/**
+ * Start imitating a staff member of the caller's school (admin only)
+ * Replaces any session the caller already has. The client must refresh
+ * its ID token to pick up the claim.
+ */
+exports.startImitation = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to imitate'
+    );
+  }
+  
+  if (!context.auth.token.roles?.includes('admin')) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Only admins can imitate'
+    );
+  }
+  
+  const { targetUid, asRole, scope = 'read' } = data || {};
+  const minutes = Math.min(Math.max(Number(data?.minutes) || IMITATION_DEFAULT_MINUTES, 1), IMITATION_MAX_MINUTES);
+  const schoolId = context.auth.token.schoolId;
+  const uid = context.auth.uid;
+  
+  if (!targetUid || !asRole || !IMITATION_SCOPES.includes(scope)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      `targetUid, asRole and a scope of ${IMITATION_SCOPES.join(' or ')} are required`
+    );
+  }
+  
+  if (targetUid === uid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Cannot imitate yourself'
+    );
+  }
+  
+  const db = admin.firestore();
+  const targetSnap = await db.doc(`schools/${schoolId}/staff/${targetUid}`).get();
+  if (!targetSnap.exists || !(targetSnap.data().roles || []).includes(asRole)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition', 
+      `Staff member does not have the ${asRole} role in this school`
+    );
+  }
+  
+  try {
+    await endImitationSession(schoolId, uid, 'imitation_stop');
+    
+    const sessionId = crypto.randomUUID();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+    
+    const user = await admin.auth().getUser(uid);
+    await admin.auth().setCustomUserClaims(uid, {
+      ...user.customClaims,
+      imitation: {
+        sid: sessionId,
+        targetUid,
+        roles: [asRole],
+        scope,
+        exp: expiresAt.seconds
+      }
+    });
+    
+    await db.doc(`schools/${schoolId}/imitation_sessions/${uid}`).set({
+      sessionId,
+      adminUid: uid,
+      targetUid,
+      asRole,
+      scope,
+      active: true,
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt
+    });
+    
+    await appendAuditEntry(schoolId, {
+      actedBy: uid,
+      asRole: 'admin',
+      asUserId: uid,
+      action: 'imitation_start',
+      target: targetUid,
+      details: { sessionId, asRole, scope, minutes }
+    });
+    
+    return { sessionId, targetUid, asRole, scope, expiresAt: expiresAt.toMillis() };
+    
+  } catch (error) {
+    console.error('Error starting imitation:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to start imitation: ' + error.message
+    );
+  }
+});
+
+/**
+ * End the caller's imitation session
+ * Audited as an expiry when the session had already run out.
+ */
+exports.stopImitation = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'Must be logged in to stop imitating'
+    );
+  }
+  
+  const token = context.auth.token;
+  const expired = !!token.imitation && !getLiveImitation(token);
+  
+  try {
+    const session = await endImitationSession(
+      token.schoolId,
+      context.auth.uid,
+      expired ? 'imitation_expire' : 'imitation_stop'
+    );
+    return { stopped: !!session };
+    
+  } catch (error) {
+    console.error('Error stopping imitation:', error);
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to stop imitation: ' + error.message
+    );
+  }
+});
+
+/**
+ * Scheduled: close sessions whose admin never came back to stop them
+ */
+exports.expireImitationSessions = functions.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    const expired = await admin.firestore()
+      .collectionGroup('imitation_sessions')
+      .where('active', '==', true)
+      .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+      .get();
+    
+    for (const sessionDoc of expired.docs) {
+      const schoolId = sessionDoc.ref.parent.parent.id;
+      try {
+        await endImitationSession(schoolId, sessionDoc.id, 'imitation_expire');
+      } catch (error) {
+        console.error(`Error expiring imitation session for ${sessionDoc.id}:`, error);
+      }
+    }
+    
+    return null;
   });
\ No newline at end of file
@@ -0,0 +1,101 @@
+// functions/memberships.js
+// Membership directory and claims helpers shared by the Cloud Functions and
+// the provisioning CLI (bin/provision.js). Callers initialize firebase-admin.
+const admin = require('firebase-admin');
+
+// ============================================================================
+// MEMBERSHIPS
+// memberships/{uid} is the user-to-school directory:
+//   { schools: { [schoolId]: { roles, name } }, updatedAt }
+// It mirrors the staff docs of every school the user belongs to. Claims
+// carry all of them ({ schools: { [schoolId]: roles } }) plus the active
+// school's id and roles ({ schoolId, roles }), which rules and callables use.
+// ============================================================================
+
+/**
+ * Record (or with no roles, remove) a user's membership in a school
+ * @param {string} uid 
+ * @param {string} schoolId 
+ * @param {string[]} roles 
+ */
+async function setMembership(uid, schoolId, roles) {
+  const db = admin.firestore();
+  const { FieldValue, FieldPath } = admin.firestore;
+  const membershipRef = db.doc(`memberships/${uid}`);
+  
+  if (roles.length === 0) {
+    const snap = await membershipRef.get();
+    if (snap.exists) {
+      await membershipRef.update(
+        new FieldPath('schools', schoolId), FieldValue.delete(),
+        'updatedAt', FieldValue.serverTimestamp()
+      );
+    }
+    return;
+  }
+  
+  const schoolSnap = await db.doc(`schools/${schoolId}`).get();
+  await membershipRef.set({
+    schools: {
+      [schoolId]: { roles, name: schoolSnap.exists ? schoolSnap.data().name || schoolId : schoolId }
+    },
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * A user's memberships by school. Users set up before the directory
+ * existed have claims for a single school and no memberships doc, so that
+ * school is first recorded from its staff doc; otherwise rebuilding their
+ * claims (say when a second school invites them) would drop it.
+ * @param {string} uid 
+ * @param {Object} claims - The user's current custom claims
+ * @returns {Promise<Object>} schoolId -> { roles, name }
+ */
+async function loadMemberships(uid, claims) {
+  const db = admin.firestore();
+  const membershipRef = db.doc(`memberships/${uid}`);
+  const membershipSnap = await membershipRef.get();
+  const memberships = membershipSnap.exists ? membershipSnap.data().schools || {} : {};
+  
+  const legacySchoolId = claims.schoolId;
+  if (!legacySchoolId || memberships[legacySchoolId]) return memberships;
+  
+  const staffSnap = await db.doc(`schools/${legacySchoolId}/staff/${uid}`).get();
+  const staff = staffSnap.exists ? staffSnap.data() : null;
+  if (!staff || staff.active === false || !(staff.roles || []).length) return memberships;
+  
+  await setMembership(uid, legacySchoolId, staff.roles);
+  return (await membershipRef.get()).data().schools || {};
+}
+
+/**
+ * Rebuild a user's claims from their memberships
+ * Keeps the current active school unless another is preferred or it is
+ * gone; an imitation session survives only while the school stays the same.
+ * @param {string} uid 
+ * @param {string|null} preferredSchoolId - School to make active
+ * @returns {Promise<Object>} The new claims
+ */
+async function syncUserClaims(uid, preferredSchoolId = null) {
+  const current = (await admin.auth().getUser(uid)).customClaims || {};
+  const memberships = await loadMemberships(uid, current);
+  
+  const schoolIds = Object.keys(memberships).sort();
+  const schoolId = [preferredSchoolId, current.schoolId, schoolIds[0]]
+    .find(id => id && memberships[id]) || null;
+  
+  const claims = {
+    schools: Object.fromEntries(schoolIds.map(id => [id, memberships[id].roles || []])),
+    schoolId,
+    roles: schoolId ? memberships[schoolId].roles || [] : []
+  };
+  if (current.imitation && schoolId === current.schoolId) {
+    claims.imitation = current.imitation;
+  }
+  
+  await admin.auth().setCustomUserClaims(uid, claims);
+  return claims;
+}
+
+module.exports = { setMembership, loadMemberships, syncUserClaims };
\ No newline at end of file
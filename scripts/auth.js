@@ -6,8 +6,12 @@ import {
   signInWithEmailAndPassword, 
   signOut 
 } from 'firebase/auth';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { flushOutbox, getPendingCount, discardPendingWrites, stopOutbox } from '/scripts/outbox.js';
+import { toast } from '/scripts/components.js';
 
 const auth = getAuth(app);
+const functions = getFunctions(app);
 
 // Memory cache
 let currentUser = null;
@@ -16,12 +20,20 @@ let authReady = false;
 let authReadyResolve = null;
 const authReadyPromise = new Promise(resolve => { authReadyResolve = resolve; });
 
-// Imitation state
+// Imitation state (mirrors the `imitation` claim in the ID token)
 let imitationState = null;
+let imitationTimer = null;
 
 // School context cache
 let _schoolCtx = null;
 
+// Watch on the user's own staff doc (see watchClaimsUpdates)
+const CLAIMS_STAMP_KEY = 'bmw-claims-stamp';
+const CLAIMS_WATCH_RETRY_MS = 30000;
+let claimsWatch = null; // { path, unsubscribe }
+let claimsRefresh = null;
+let guardedRoles = null;
+
 // Initialize auth listener
 onAuthStateChanged(auth, async (user) => {
   currentUser = user;
@@ -29,30 +41,24 @@ onAuthStateChanged(auth, async (user) => {
   if (user) {
     try {
       const tokenResult = await user.getIdTokenResult();
-      currentClaims = tokenResult.claims;
+      applyClaims(tokenResult.claims);
+      watchClaimsUpdates();
       
-      // Load imitation state from localStorage
-      const stored = localStorage.getItem('imitation');
-      if (stored) {
-        try {
-          imitationState = JSON.parse(stored);
-          // Dispatch event for UI banner
-          window.dispatchEvent(new CustomEvent('imitation-active', { 
-            detail: imitationState 
-          }));
-        } catch (e) {
-          localStorage.removeItem('imitation');
-          imitationState = null;
-        }
+      if (imitationState) {
+        // Dispatch event for UI banner
+        window.dispatchEvent(new CustomEvent('imitation-active', { 
+          detail: imitationState 
+        }));
       }
     } catch (err) {
       console.error('[Auth] Failed to get claims');
       currentClaims = null;
     }
   } else {
-    currentClaims = null;
-    imitationState = null;
-    localStorage.removeItem('imitation');
+    applyClaims(null);
+    _schoolCtx = null;
+    stopClaimsWatch();
+    stopOutbox();
   }
   
   authReady = true;
@@ -62,6 +68,153 @@ onAuthStateChanged(auth, async (user) => {
   }
 });
 
+/**
+ * Cache claims and derive imitation state from them
+ * Schedules the session's end so the page drops out of imitation on expiry.
+ * @param {Object|null} claims
+ */
+function applyClaims(claims) {
+  currentClaims = claims;
+  
+  const imitation = claims?.imitation;
+  imitationState = imitation ? {
+    sessionId: imitation.sid,
+    targetUid: imitation.targetUid,
+    asRole: imitation.roles[0],
+    scope: imitation.scope,
+    expiresAt: imitation.exp * 1000
+  } : null;
+  
+  clearTimeout(imitationTimer);
+  imitationTimer = null;
+  if (imitationState) {
+    imitationTimer = setTimeout(() => {
+      stopImitate().catch(() => console.error('[Auth] Failed to end expired imitation'));
+    }, Math.max(imitationState.expiresAt - Date.now(), 0));
+  }
+}
+
+/**
+ * Re-read claims after a Cloud Function changed them
+ * @returns {Promise<Object>} New claims
+ */
+async function refreshClaims() {
+  const tokenResult = await currentUser.getIdTokenResult(true);
+  applyClaims(tokenResult.claims);
+  watchClaimsUpdates();
+  return currentClaims;
+}
+
+/**
+ * Last `claimsUpdatedAt` this device refreshed its token for, per staff doc
+ * @param {string} path - Staff doc path
+ * @returns {number} Milliseconds, 0 if never seen
+ */
+function getClaimsStamp(path) {
+  try {
+    return Number(localStorage.getItem(`${CLAIMS_STAMP_KEY}:${path}`)) || 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function setClaimsStamp(path, stamp) {
+  try {
+    localStorage.setItem(`${CLAIMS_STAMP_KEY}:${path}`, String(stamp));
+  } catch (err) {
+    // Storage unavailable - the next page load refreshes once more
+  }
+}
+
+/**
+ * Watch the user's staff doc in their active school. The server stamps
+ * `claimsUpdatedAt` whenever it changes their claims; a stamp newer than
+ * the last one this device refreshed for means the token is stale, so
+ * refresh it and re-check the page's roles. Re-pointed at the new school
+ * after a switch. A listener that errors is dropped and started again.
+ */
+async function watchClaimsUpdates() {
+  const schoolId = currentClaims?.schoolId;
+  const path = currentUser && schoolId ? `schools/${schoolId}/staff/${currentUser.uid}` : null;
+  if (claimsWatch?.path === path) return;
+  
+  stopClaimsWatch();
+  if (!path) return;
+  
+  const { getFirestore, doc, onSnapshot } = await import('firebase/firestore');
+  const watch = { path, unsubscribe: null };
+  claimsWatch = watch;
+  
+  watch.unsubscribe = onSnapshot(doc(getFirestore(), path), (snap) => {
+    const updatedAt = snap.data()?.claimsUpdatedAt?.toMillis?.() || 0;
+    if (updatedAt > getClaimsStamp(path)) {
+      onClaimsChanged({ path, stamp: updatedAt });
+    }
+  }, async (err) => {
+    if (claimsWatch !== watch) return;
+    claimsWatch = null;
+    
+    // Rules deny the read once the token no longer carries this school;
+    // other errors (offline, backend hiccups) only need a new listener
+    if (err.code === 'permission-denied') await onClaimsChanged();
+    setTimeout(() => {
+      if (!claimsWatch) watchClaimsUpdates();
+    }, CLAIMS_WATCH_RETRY_MS);
+  });
+  
+  // Superseded while firestore was loading
+  if (claimsWatch !== watch) watch.unsubscribe();
+}
+
+function stopClaimsWatch() {
+  claimsWatch?.unsubscribe?.();
+  claimsWatch = null;
+}
+
+/**
+ * Force a token refresh after a role change and send the user away if the
+ * page is no longer theirs. Revoked sessions fail to refresh and sign out.
+ * @param {Object} seen - { path, stamp } of the staff doc change being
+ *   handled, recorded once the token is fresh
+ * @returns {Promise<void>}
+ */
+function onClaimsChanged(seen = null) {
+  if (!currentUser) return Promise.resolve();
+  if (claimsRefresh) return claimsRefresh;
+  
+  const previousSchoolId = currentClaims?.schoolId || null;
+  
+  claimsRefresh = (async () => {
+    try {
+      await currentUser.getIdToken(true);
+      applyClaims((await currentUser.getIdTokenResult()).claims);
+      if (seen) setClaimsStamp(seen.path, seen.stamp);
+    } catch (err) {
+      console.error('[Auth] Token refresh failed, signing out');
+      await signOut(auth);
+      window.location.href = '/login.html';
+      return;
+    } finally {
+      claimsRefresh = null;
+    }
+    
+    clearSchoolContext();
+    window.dispatchEvent(new CustomEvent('claims-changed', { 
+      detail: { roles: currentClaims?.roles || [], schoolId: currentClaims?.schoolId || null } 
+    }));
+    
+    // Everything on the page belongs to the old school
+    if ((currentClaims?.schoolId || null) !== previousSchoolId) {
+      window.location.reload();
+      return;
+    }
+    
+    if (guardedRoles) await guardRoute(guardedRoles);
+  })();
+  
+  return claimsRefresh;
+}
+
 /**
  * Get current authenticated user
  * @returns {Object|null} Firebase user object
@@ -96,6 +249,9 @@ export async function requireAuth() {
  * @param {string[]} requiredRoles - Array of role strings (e.g., ['admin', 'teacher'])
  */
 export async function guardRoute(requiredRoles = []) {
+  // Remembered so a role change can re-run the check
+  guardedRoles = requiredRoles;
+  
   // Remove ready state initially
   document.body.removeAttribute('data-app-ready');
   
@@ -125,30 +281,39 @@ export async function guardRoute(requiredRoles = []) {
 
 /**
  * Start imitating another user (admin QA mode)
+ * The session is issued by the startImitation Cloud Function and enforced
+ * by Firestore rules: 'read' blocks all writes, 'write' writes with the
+ * target's role. It ends on its own after `minutes`.
  * @param {string} targetUid - User ID to imitate
  * @param {string} asRole - Role to imitate as
+ * @param {Object} options - { scope: 'read'|'write', minutes }
+ * @returns {Promise<Object>} Imitation state
  */
-export function startImitate(targetUid, asRole) {
+export async function startImitate(targetUid, asRole, { scope = 'read', minutes } = {}) {
   if (!currentClaims?.roles?.includes('admin')) {
-    console.error('[Auth] Only admins can imitate');
-    return;
+    throw new Error('Only admins can imitate');
   }
   
-  imitationState = { targetUid, asRole };
-  localStorage.setItem('imitation', JSON.stringify(imitationState));
+  await httpsCallable(functions, 'startImitation')({ targetUid, asRole, scope, minutes });
+  await refreshClaims();
   
   // Dispatch event for UI banner
   window.dispatchEvent(new CustomEvent('imitation-active', { 
     detail: imitationState 
   }));
+  
+  return imitationState;
 }
 
 /**
- * Stop imitating
+ * Stop imitating (the server audits it as a stop or an expiry)
+ * @returns {Promise<void>}
  */
-export function stopImitate() {
-  imitationState = null;
-  localStorage.removeItem('imitation');
+export async function stopImitate() {
+  if (!imitationState) return;
+  
+  await httpsCallable(functions, 'stopImitation')();
+  await refreshClaims();
   
   // Dispatch event to remove banner
   window.dispatchEvent(new CustomEvent('imitation-stopped'));
@@ -156,7 +321,7 @@ export function stopImitate() {
 
 /**
  * Get current imitation state
- * @returns {Object|null} { targetUid, asRole } or null
+ * @returns {Object|null} { sessionId, targetUid, asRole, scope, expiresAt } or null
  */
 export function getImitationState() {
   return imitationState;
@@ -188,8 +353,9 @@ export function getAuditContext() {
 
 /**
  * Get school context for the current user
- * Returns cached context or loads from staff profile
- * @returns {Promise<Object>} { schoolId, user, claims, staff }
+ * The active school comes from claims. Users whose claims carry no school
+ * yet get one picked from their memberships by the switchSchool function.
+ * @returns {Promise<Object>} { schoolId, user, claims, staff, schools }
  */
 export async function getSchoolContext() {
   if (_schoolCtx) return _schoolCtx;
@@ -197,49 +363,84 @@ export async function getSchoolContext() {
   const user = getCurrentUser();
   if (!user) throw new Error('No user authenticated');
   
-  const claims = getClaims();
-  
-  // First try to get schoolId from claims (if set via Cloud Function)
-  let schoolId = claims?.schoolId;
-  
-  // If not in claims, load from staff profile
-  if (!schoolId) {
-    const { getFirestore, doc, getDoc } = await import('firebase/firestore');
-    const db = getFirestore();
-    
-    // We need to find which school this user belongs to
-    // In production, this should be in claims, but fallback to checking staff docs
-    // This is a temporary fallback - proper setup should have schoolId in claims
-    
-    // For now, we'll check the default school
-    // TODO: This should be improved with proper multi-tenant setup
-    const defaultSchoolId = 'school_001';
-    const staffRef = doc(db, `schools/${defaultSchoolId}/staff/${user.uid}`);
-    const snap = await getDoc(staffRef);
-    
-    if (snap.exists()) {
-      const staff = snap.data();
-      schoolId = staff.schoolId || defaultSchoolId;
-      
-      _schoolCtx = { schoolId, user, claims, staff };
-    } else {
-      throw new Error('Staff record not found. Please contact your administrator.');
+  let claims = getClaims();
+  if (!claims?.schoolId) {
+    try {
+      await httpsCallable(functions, 'switchSchool')({});
+      claims = await refreshClaims();
+    } catch (err) {
+      throw new Error('No school membership found. Please contact your administrator.');
     }
-  } else {
-    // SchoolId is in claims, load staff profile
-    const { getFirestore, doc, getDoc } = await import('firebase/firestore');
-    const db = getFirestore();
-    
-    const staffRef = doc(db, `schools/${schoolId}/staff/${user.uid}`);
-    const snap = await getDoc(staffRef);
-    
-    const staff = snap.exists() ? snap.data() : null;
-    _schoolCtx = { schoolId, user, claims, staff };
   }
   
+  const schoolId = claims.schoolId;
+  const { getFirestore, doc, getDoc } = await import('firebase/firestore');
+  const db = getFirestore();
+  
+  const [staffSnap, membershipSnap] = await Promise.all([
+    getDoc(doc(db, `schools/${schoolId}/staff/${user.uid}`)),
+    getDoc(doc(db, `memberships/${user.uid}`))
+  ]);
+  
+  // Schools the user can switch to, for the top bar
+  const memberships = membershipSnap.exists() ? membershipSnap.data().schools || {} : {};
+  const schools = Object.entries(memberships)
+    .map(([id, entry]) => ({ id, name: entry.name || id, roles: entry.roles || [] }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  
+  const staff = staffSnap.exists() ? staffSnap.data() : null;
+  _schoolCtx = { schoolId, user, claims, staff, schools };
+  
   return _schoolCtx;
 }
 
+/**
+ * Schools the current user belongs to (after getSchoolContext has loaded)
+ * @returns {Object[]} [{ id, name, roles }]
+ */
+export function getSchoolDirectory() {
+  return _schoolCtx?.schools || [];
+}
+
+/**
+ * Make another school active. Claims, and so rules and every loader given
+ * the context's schoolId, follow the switch; callers should reload.
+ * Refuses while queued writes are unsent, since they would replay under
+ * the new school's claims and be rejected.
+ * @param {string} schoolId 
+ * @returns {Promise<Object>} New claims
+ */
+export async function switchSchool(schoolId) {
+  if (!(await flushOutbox())) {
+    const count = getPendingCount();
+    const err = new Error(`${count} ${count === 1 ? 'change has' : 'changes have'} not been sent yet`);
+    err.code = 'pending-writes';
+    throw err;
+  }
+  
+  await httpsCallable(functions, 'switchSchool')({ schoolId });
+  const claims = await refreshClaims();
+  clearSchoolContext();
+  
+  window.dispatchEvent(new CustomEvent('school-changed', { 
+    detail: { schoolId: claims.schoolId } 
+  }));
+  return claims;
+}
+
+/**
+ * Link the signed-in user to a student with a code from the school
+ * Grants the parent role there and makes that school active.
+ * @param {string} code - Parent link code (case, spaces and dashes ignored)
+ * @returns {Promise<Object>} { schoolId, studentId, studentName }
+ */
+export async function redeemParentLinkCode(code) {
+  const result = await httpsCallable(functions, 'redeemParentLinkCode')({ code });
+  await refreshClaims();
+  clearSchoolContext();
+  return result.data;
+}
+
 /**
  * Clear school context cache (useful for testing or role switching)
  */
@@ -259,9 +460,44 @@ export async function signIn(email, password) {
 
 /**
  * Sign out current user
- * @returns {Promise<void>}
+ * Queued writes are sent first. Any that cannot be sent are discarded if
+ * the user confirms, since they would otherwise wait on this device until
+ * the same user signs in again.
+ * @returns {Promise<boolean>} false if the user chose to stay signed in
  */
 export async function signOutUser() {
-  stopImitate();
-  return signOut(auth);
-}
\ No newline at end of file
+  if (!(await flushOutbox())) {
+    const count = getPendingCount();
+    if (!confirm(`${count} ${count === 1 ? 'change has' : 'changes have'} not been sent yet. Sign out and discard ${count === 1 ? 'it' : 'them'}?`)) {
+      return false;
+    }
+    await discardPendingWrites();
+  }
+  
+  try {
+    await stopImitate();
+  } catch (err) {
+    // The session still expires on its own
+    console.error('[Auth] Failed to stop imitation on sign out');
+  }
+  stopOutbox();
+  await signOut(auth);
+  return true;
+}
+
+// School switcher in the top bar (see renderTopBar)
+window.addEventListener('school-switch', async (event) => {
+  try {
+    await switchSchool(event.detail.schoolId);
+    window.location.reload();
+  } catch (err) {
+    console.error('[Auth] Failed to switch school');
+    toast(err.code === 'pending-writes'
+      ? `${err.message}. Reconnect and try switching again.`
+      : 'Failed to switch school', 'error');
+    
+    // Show the school that is still active
+    const select = document.querySelector('.top-bar__school');
+    if (select) select.value = currentClaims?.schoolId || '';
+  }
+});
\ No newline at end of file
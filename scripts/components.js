@@ -1,11 +1,15 @@
 // /scripts/components.js
+import { getGoalKind, getGoalMax } from '/scripts/scoring.js';
+import { getTodayKey, getWeek, addDays, dayKeyToDate, formatDayKey } from '/scripts/dates.js';
 
 /**
  * Render top bar / app bar
- * @param {Object} options - { school, user, claims, onMenu }
+ * With more than one school, a switcher dispatches a `school-switch`
+ * event that auth.js handles.
+ * @param {Object} options - { school, user, claims, schools, onMenu }
  * @returns {string} HTML string
  */
-export function renderTopBar({ school, user, claims, onMenu }) {
+export function renderTopBar({ school, user, claims, schools = [], onMenu }) {
   const roles = claims?.roles || [];
   const displayName = user?.displayName || user?.email || 'User';
   
@@ -14,6 +18,7 @@ export function renderTopBar({ school, user, claims, onMenu }) {
       ${school?.logoURL ? `<img src="${school.logoURL}" alt="${school.name}" class="top-bar__logo">` : ''}
       <h1 class="top-bar__title">${school?.name || 'BMWarehouse'}</h1>
       <div class="top-bar__actions">
+        ${schools.length > 1 ? renderSchoolSwitcher(schools, claims?.schoolId) : ''}
         ${roles.map(role => renderRolePill(role)).join('')}
         <button class="btn btn--icon" onclick="(${onMenu || (() => {})})()" aria-label="Menu">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
@@ -25,6 +30,20 @@ export function renderTopBar({ school, user, claims, onMenu }) {
   `;
 }
 
+function renderSchoolSwitcher(schools, activeId) {
+  return `
+    <select 
+      class="form-select top-bar__school" 
+      aria-label="School"
+      onchange="window.dispatchEvent(new CustomEvent('school-switch', { detail: { schoolId: this.value } }))"
+    >
+      ${schools.map(s => `
+        <option value="${s.id}" ${s.id === activeId ? 'selected' : ''}>${s.name}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
 /**
  * Render role pill badge
  * @param {string} role 
@@ -48,27 +67,18 @@ export function renderRolePill(role) {
 /**
  * Render week picker component
  * @param {Object} options - { date, onChange }
+ *   onChange(date, step) gets step -1/1 for previous/next week, 0 for today
  * @returns {string} HTML string
  */
 export function renderWeekPicker({ date, onChange }) {
-  const currentDate = date || new Date();
-  const dateStr = currentDate.toISOString().split('T')[0];
-  
-  // Calculate week boundaries
-  const dayOfWeek = currentDate.getDay();
-  const sunday = new Date(currentDate);
-  sunday.setDate(currentDate.getDate() - dayOfWeek);
+  // Work in school-timezone day keys so the week never depends on the device
+  const dayKey = getTodayKey(date || new Date());
+  const week = getWeek(dayKey);
+  const previousWeek = dayKeyToDate(addDays(dayKey, -7)).getTime();
+  const nextWeek = dayKeyToDate(addDays(dayKey, 7)).getTime();
   
-  const saturday = new Date(sunday);
-  saturday.setDate(sunday.getDate() + 6);
-  
-  const formatDate = (d) => {
-    const month = d.toLocaleDateString('en-US', { month: 'short' });
-    const day = d.getDate();
-    return `${month} ${day}`;
-  };
-  
-  const weekLabel = `${formatDate(sunday)} - ${formatDate(saturday)}`;
+  const weekLabel = `${formatDayKey(week.startKey)} - ${formatDayKey(week.endKey)}`;
+  const [weekYear, weekNumber] = week.key.split('-W');
   
   const changeId = `week-change-${Date.now()}`;
   
@@ -82,7 +92,7 @@ export function renderWeekPicker({ date, onChange }) {
     <div class="d-flex align-center gap-md" style="padding: var(--space-md); background: var(--color-surface-variant); border-radius: var(--radius-md);">
       <button 
         class="btn btn--icon" 
-        onclick="window.__weekPickerCallbacks['${changeId}'](new Date('${dateStr}').setDate(new Date('${dateStr}').getDate() - 7))"
+        onclick="window.__weekPickerCallbacks['${changeId}'](${previousWeek}, -1)"
         aria-label="Previous week"
       >
         <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
@@ -93,13 +103,13 @@ export function renderWeekPicker({ date, onChange }) {
       <div class="text-center" style="min-width: 200px;">
         <div style="font-weight: var(--font-weight-semibold);">${weekLabel}</div>
         <div style="font-size: var(--font-size-sm); color: var(--color-on-surface-variant);">
-          Week of ${currentDate.getFullYear()}
+          Week ${Number(weekNumber)}, ${weekYear}
         </div>
       </div>
       
       <button 
         class="btn btn--icon" 
-        onclick="window.__weekPickerCallbacks['${changeId}'](new Date('${dateStr}').setDate(new Date('${dateStr}').getDate() + 7))"
+        onclick="window.__weekPickerCallbacks['${changeId}'](${nextWeek}, 1)"
         aria-label="Next week"
       >
         <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
@@ -109,7 +119,7 @@ export function renderWeekPicker({ date, onChange }) {
       
       <button 
         class="btn btn--outline" 
-        onclick="window.__weekPickerCallbacks['${changeId}'](new Date())"
+        onclick="window.__weekPickerCallbacks['${changeId}'](new Date(), 0)"
       >
         Today
       </button>
@@ -158,24 +168,13 @@ export function renderMatrixGrid({ plan, dayData, onCell, onLongPress }) {
       const value = periodData[goal.id];
       const cellKey = `${period.id}-${goal.id}`;
       
-      if (goal.kind === 'stepper') {
-        const displayValue = value !== undefined && value !== null ? value : '-';
-        html += `
-          <div style="display: flex; justify-content: center;">
-            ${renderScoreStepper(value, (newValue) => {
-              if (onCell) onCell(period.id, goal.id, newValue);
-            }, cellKey)}
-          </div>
-        `;
-      } else if (goal.kind === 'checkbox') {
-        html += `
-          <div style="display: flex; justify-content: center;">
-            ${renderCheckPill(!!value, (newValue) => {
-              if (onCell) onCell(period.id, goal.id, newValue);
-            }, cellKey)}
-          </div>
-        `;
-      }
+      html += `
+        <div style="display: flex; justify-content: center;">
+          ${renderGoalInput(goal, value, (newValue) => {
+            if (onCell) onCell(period.id, goal.id, newValue);
+          }, cellKey)}
+        </div>
+      `;
     }
     
     html += '</div>';
@@ -187,13 +186,40 @@ export function renderMatrixGrid({ plan, dayData, onCell, onLongPress }) {
 }
 
 /**
- * Render score stepper (0, 1, 2)
+ * Render the input control for a goal based on its kind
+ * @param {Object} goal - { kind, max? }
+ * @param {*} value - Current cell value
+ * @param {Function} onChange - Callback
+ * @param {string} key - Unique key
+ * @returns {string} HTML string
+ */
+export function renderGoalInput(goal, value, onChange, key = '') {
+  const kind = getGoalKind(goal);
+  const max = getGoalMax(goal);
+  
+  switch (kind?.input) {
+    case 'stepper':
+      return renderScoreStepper(value, onChange, key, max);
+    case 'check':
+      return renderCheckPill(!!value, onChange, key);
+    case 'tally':
+      return renderTallyCounter(value, onChange, key);
+    case 'minutes':
+      return renderMinutesInput(value, onChange, key, max);
+    default:
+      return '<span class="text-muted">—</span>';
+  }
+}
+
+/**
+ * Render score stepper, cycling 0..max
  * @param {number} value - Current value
  * @param {Function} onChange - Callback
  * @param {string} key - Unique key
+ * @param {number} max - Highest value before wrapping to 0
  * @returns {string} HTML string
  */
-export function renderScoreStepper(value, onChange, key = '') {
+export function renderScoreStepper(value, onChange, key = '', max = 2) {
   const currentValue = value !== undefined && value !== null ? value : 0;
   const callbackId = `stepper-${key}-${Date.now()}`;
   
@@ -206,10 +232,13 @@ export function renderScoreStepper(value, onChange, key = '') {
     <div 
       class="score-stepper" 
       data-value="${currentValue}"
+      data-level="${stepperLevel(currentValue, max)}"
       onclick="
         const current = parseInt(this.getAttribute('data-value'));
-        const next = (current + 1) % 3;
+        const next = (current + 1) % ${max + 1};
         this.setAttribute('data-value', next);
+        this.setAttribute('data-level', next === 0 ? 'none' : next >= ${max} ? 'full' : 'partial');
+        this.textContent = next === 0 ? '-' : next;
         if (window.__stepperCallbacks['${callbackId}']) {
           window.__stepperCallbacks['${callbackId}'](next);
         }
@@ -230,6 +259,96 @@ export function renderScoreStepper(value, onChange, key = '') {
   `;
 }
 
+/**
+ * Colour band for a stepper value (kept in sync with the inline onclick)
+ * @param {number} value 
+ * @param {number} max 
+ * @returns {string} 'none' | 'partial' | 'full'
+ */
+function stepperLevel(value, max) {
+  if (value === 0) return 'none';
+  return value >= max ? 'full' : 'partial';
+}
+
+/**
+ * Render frequency tally (+/- counter). An unscored tally shows "–" rather
+ * than 0, since 0 is a score; − on it records 0, + records 1.
+ * @param {number|null} value - Current count, or null if not scored
+ * @param {Function} onChange - Callback
+ * @param {string} key - Unique key
+ * @returns {string} HTML string
+ */
+export function renderTallyCounter(value, onChange, key = '') {
+  const scored = value !== undefined && value !== null;
+  const callbackId = `tally-${key}-${Date.now()}`;
+  
+  if (!window.__tallyCallbacks) {
+    window.__tallyCallbacks = {};
+  }
+  window.__tallyCallbacks[callbackId] = onChange;
+  
+  const step = (delta) => `
+    const tally = this.closest('.tally-counter');
+    const current = tally.getAttribute('data-scored') === 'true' ? parseInt(tally.getAttribute('data-value')) : null;
+    const next = Math.max(0, current === null ? ${delta} : current + (${delta}));
+    tally.setAttribute('data-value', next);
+    tally.setAttribute('data-scored', 'true');
+    tally.querySelector('.tally-counter__value').textContent = next;
+    if (window.__tallyCallbacks['${callbackId}']) {
+      window.__tallyCallbacks['${callbackId}'](next);
+    }
+    if (navigator.vibrate) navigator.vibrate(10);
+  `;
+  
+  return `
+    <div class="tally-counter" data-value="${scored ? value : 0}" data-scored="${scored}">
+      <button class="tally-counter__button" onclick="${step(-1)}" aria-label="Decrease count">−</button>
+      <span class="tally-counter__value" aria-live="polite" title="${scored ? '' : 'Not scored'}">${scored ? value : '–'}</span>
+      <button class="tally-counter__button" onclick="${step(1)}" aria-label="Increase count">+</button>
+    </div>
+  `;
+}
+
+/**
+ * Render duration input in minutes
+ * Clearing the field marks the goal unscored; entries are clamped to 0..max.
+ * @param {number|null} value - Current minutes
+ * @param {Function} onChange - Callback
+ * @param {string} key - Unique key
+ * @param {number} max - Minutes for full points
+ * @returns {string} HTML string
+ */
+export function renderMinutesInput(value, onChange, key = '', max = 30) {
+  const callbackId = `minutes-${key}-${Date.now()}`;
+  
+  if (!window.__minutesCallbacks) {
+    window.__minutesCallbacks = {};
+  }
+  window.__minutesCallbacks[callbackId] = onChange;
+  
+  return `
+    <label class="minutes-input">
+      <input 
+        type="number" 
+        class="form-input" 
+        value="${value ?? ''}" 
+        min="0" 
+        max="${max}"
+        inputmode="numeric"
+        aria-label="Minutes (out of ${max})"
+        onchange="
+          const minutes = this.value === '' ? null : Math.min(${max}, Math.max(0, parseInt(this.value, 10) || 0));
+          if (minutes !== null) this.value = minutes;
+          if (window.__minutesCallbacks['${callbackId}']) {
+            window.__minutesCallbacks['${callbackId}'](minutes);
+          }
+        "
+      />
+      <span class="minutes-input__unit">/${max} min</span>
+    </label>
+  `;
+}
+
 /**
  * Render checkbox pill
  * @param {boolean} checked - Current state
@@ -393,13 +512,59 @@ export function renderIncidentChip({ label, colorHex, onTap, onHold }) {
   `;
 }
 
+/**
+ * Render list of incidents logged today, with edit/void actions
+ * @param {Array} incidents - Incident records (voided ones are skipped)
+ * @param {Object} options - { onEdit, onVoid } each called with the incident
+ * @returns {string} HTML string
+ */
+export function renderIncidentList(incidents, { onEdit, onVoid } = {}) {
+  const visible = (incidents || []).filter(incident => !incident.voided);
+  if (visible.length === 0) return '';
+  
+  if (!window.__incidentListCallbacks) {
+    window.__incidentListCallbacks = {};
+  }
+  
+  let html = '<ul class="incident-list">';
+  
+  for (const incident of visible) {
+    const listId = `incident-list-${incident.id}-${Date.now()}`;
+    window.__incidentListCallbacks[listId] = {
+      onEdit: () => onEdit && onEdit(incident),
+      onVoid: () => onVoid && onVoid(incident)
+    };
+    
+    const time = new Date(incident.ts).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    
+    html += `
+      <li class="incident-list__item">
+        <span class="incident-list__dot" style="background-color: ${incident.colorHex};"></span>
+        <span class="incident-list__text">
+          ${incident.label} · ${time}${incident.note ? ` – "${incident.note}"` : ''}
+        </span>
+        <button class="btn btn--text incident-list__action" onclick="window.__incidentListCallbacks['${listId}'].onEdit()" aria-label="Edit note">
+          Edit
+        </button>
+        <button class="btn btn--text incident-list__action" onclick="window.__incidentListCallbacks['${listId}'].onVoid()" aria-label="Void incident" style="color: var(--color-error);">
+          Void
+        </button>
+      </li>
+    `;
+  }
+  
+  html += '</ul>';
+  return html;
+}
+
 /**
  * Show toast notification
  * @param {string} message 
  * @param {string} type - 'success', 'error', 'warning', 'info'
  * @param {number} duration - milliseconds (default 3000)
+ * @param {Object} action - Optional { label, onClick } button (e.g. Undo)
  */
-export function toast(message, type = 'info', duration = 3000) {
+export function toast(message, type = 'info', duration = 3000, action = null) {
   // Create container if it doesn't exist
   let container = document.querySelector('.toast-container');
   if (!container) {
@@ -424,6 +589,17 @@ export function toast(message, type = 'info', duration = 3000) {
     <span>${message}</span>
   `;
   
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'btn btn--text toast__action';
+    actionBtn.textContent = action.label;
+    actionBtn.onclick = () => {
+      actionBtn.disabled = true;
+      action.onClick();
+    };
+    toastEl.appendChild(actionBtn);
+  }
+  
   container.appendChild(toastEl);
   
   // Auto-remove after duration
@@ -440,6 +616,59 @@ export function toast(message, type = 'info', duration = 3000) {
   }, duration);
 }
 
+/**
+ * Render "N changes pending" indicator for writes waiting in the outbox
+ * Kept current by the outbox-change listener at the bottom of this file
+ * @param {number} count - Pending write count
+ * @returns {string} HTML string
+ */
+export function renderPendingIndicator(count = 0) {
+  return `
+    <span 
+      id="pending-indicator" 
+      class="chip chip--warning" 
+      role="status" 
+      aria-live="polite"
+      ${count > 0 ? '' : 'hidden'}
+    >
+      ${formatPendingLabel(count)}
+    </span>
+  `;
+}
+
+function formatPendingLabel(count) {
+  return `⏳ ${count} ${count === 1 ? 'change' : 'changes'} pending`;
+}
+
+/**
+ * Render the imitation mode banner with the session's time remaining
+ * The countdown is kept current by the timer at the bottom of this file;
+ * the Stop button calls window.stopImitationMode().
+ * @param {Object|null} imitation - getImitationState() result
+ * @returns {string} HTML string
+ */
+export function renderImitationBanner(imitation) {
+  if (!imitation) return '';
+  
+  const scopeLabel = imitation.scope === 'write' ? 'writes as them' : 'read-only';
+  
+  return `
+    <div class="imitation-banner">
+      <span>⚠️ IMITATION MODE: Acting as ${imitation.asRole} (${scopeLabel})</span>
+      <span data-imitation-expires="${imitation.expiresAt}">${formatTimeRemaining(imitation.expiresAt)}</span>
+      <button class="btn btn--text" onclick="window.stopImitationMode()" style="color: #000;">
+        Stop Imitation
+      </button>
+    </div>
+  `;
+}
+
+function formatTimeRemaining(expiresAt) {
+  const seconds = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')} left`;
+}
+
 /**
  * Render loading skeleton
  * @param {string} type - 'text', 'card', or custom height
@@ -532,4 +761,31 @@ if (!document.getElementById('component-styles')) {
     }
   `;
   document.head.appendChild(style);
-}
\ No newline at end of file
+}
+
+// Keep the pending indicator in sync with the outbox
+window.addEventListener('outbox-change', (event) => {
+  const indicator = document.getElementById('pending-indicator');
+  if (!indicator) return;
+  
+  const count = event.detail?.pending || 0;
+  indicator.hidden = count === 0;
+  indicator.textContent = formatPendingLabel(count);
+});
+
+// Writes the server refused for good (e.g. during read-only imitation)
+window.addEventListener('outbox-rejected', (event) => {
+  toast(`A change was not saved (${event.detail?.code || 'rejected'})`, 'error', 5000);
+});
+
+// Roles changed by an admin while signed in (see watchClaimsUpdates in auth.js)
+window.addEventListener('claims-changed', () => {
+  toast('Your access was updated', 'info');
+});
+
+// Tick imitation banner countdowns
+setInterval(() => {
+  for (const el of document.querySelectorAll('[data-imitation-expires]')) {
+    el.textContent = formatTimeRemaining(Number(el.dataset.imitationExpires));
+  }
+}, 1000);
\ No newline at end of file
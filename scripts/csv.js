@@ -0,0 +1,110 @@
+// /scripts/csv.js
+// CSV reading and writing for imports and exports (RFC 4180: quoted fields
+// may contain commas, quotes doubled as "", and line breaks).
+
+/**
+ * Parse CSV text into rows of cells with the line each row starts on
+ * @param {string} text
+ * @returns {Object[]} [{ line, cells }], line 1-based; blank lines are dropped
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // A quoted cell may span lines
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      rowLine = ++line;
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push({ line: rowLine, cells: row });
+
+  return rows.filter(r => r.cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text
+ * @returns {string[][]} Rows; blank lines are dropped
+ */
+export function parseCsv(text) {
+  return parseCsvRows(text).map(row => row.cells);
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by normalized header
+ * ("Teacher Email" becomes teacher_email)
+ * @param {string} text
+ * @returns {Object} { headers, records } where each record has the 1-based
+ *   `line` of the file it starts on
+ */
+export function parseCsvRecords(text) {
+  const [headerRow = { cells: [] }, ...rows] = parseCsvRows(text);
+  const headers = headerRow.cells.map(header => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+
+  const records = rows.map(({ line, cells }) => {
+    const record = { line };
+    headers.forEach((header, column) => {
+      if (header) record[header] = (cells[column] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+// Leading characters a spreadsheet reads as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Serialize objects to CSV, one column per key of the first object
+ * Object values are written as JSON. Text that a spreadsheet would run as
+ * a formula (names, notes, anything user-entered) is prefixed with `'`.
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    let text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => cell(row[column])).join(','))
+  ].join('\r\n');
+}
\ No newline at end of file
@@ -6,65 +6,149 @@ import {
   getDoc, 
   setDoc, 
   updateDoc, 
-  addDoc, 
   collection, 
   query, 
   where, 
   getDocs,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
   writeBatch,
+  deleteDoc,
+  onSnapshot,
   serverTimestamp,
+  runTransaction,
+  arrayUnion,
+  deleteField,
   Timestamp
 } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { getTodayKey, addDays, getWeekday, getDayBounds, dayKeyToDate, configureDates } from '/scripts/dates.js';
+import { enqueueWrite, flushOutbox, registerOutboxHandler } from '/scripts/outbox.js';
 
 const db = getFirestore(app);
+const functions = getFunctions(app);
+
+// Firestore caps `in` filters at 30 values per query
+const IN_QUERY_LIMIT = 30;
+
+// Specials subjects a schedule period can be assigned to
+export const SPECIALS_SUBJECTS = ['Art', 'Music', 'PE', 'LMC', 'PLTW'];
+
+// Roster of plans whose periods have no subject yet (shown for every subject)
+const ANY_SUBJECT = 'any';
+
+// In-memory cache for dashboard loads, keyed by path-like strings so callers
+// can invalidate exactly what they changed (see invalidateCache)
+const cache = new Map();
+
+// ============================================================================
+// DATE UTILITIES (see dates.js; re-exported for existing callers)
+// ============================================================================
+
+export { getTodayKey, getWeek } from '/scripts/dates.js';
 
 // ============================================================================
-// DATE UTILITIES
+// SCHOOL CALENDAR
 // ============================================================================
 
+// Rotation letters by school specialsMode
+export const ROTATION_DAYS = {
+  AE: ['A', 'B', 'C', 'D', 'E'],
+  MF: ['M', 'T', 'W', 'TH', 'F']
+};
+
 /**
- * Get today's date key in YYYY-MM-DD format (America/Detroit timezone)
- * @param {Date} date - Date object (defaults to now)
- * @returns {string} YYYY-MM-DD
+ * School year a date belongs to; years roll over on July 1
+ * @param {Date|string} date - Date or YYYY-MM-DD key
+ * @returns {string} e.g. '2025-2026'
  */
-export function getTodayKey(date = new Date()) {
-  const tz = 'America/Detroit';
-  const fmt = new Intl.DateTimeFormat('en-CA', { 
-    timeZone: tz, 
-    year: 'numeric', 
-    month: '2-digit', 
-    day: '2-digit' 
-  });
-  const parts = fmt.formatToParts(date).reduce((acc, part) => {
-    acc[part.type] = part.value;
-    return acc;
-  }, {});
-  return `${parts.year}-${parts.month}-${parts.day}`; // YYYY-MM-DD
+export function getSchoolYearId(date = new Date()) {
+  const [year, month] = toDayKey(date).split('-').map(Number);
+  return month >= 7 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
 }
 
 /**
- * Get week boundaries for a given date
- * @param {Date} date 
- * @returns {Object} { startISO, endISO, key }
+ * Build the `days` map for a calendar. Weekdays between the start and end
+ * dates are school days; A-E letters skip holidays so the rotation carries
+ * on where it left off, M-F letters follow the weekday.
+ * @param {Object} options - { startDate, endDate, holidays, halfDays, specialsMode }
+ *   holidays/halfDays map YYYY-MM-DD -> note
+ * @returns {Object} YYYY-MM-DD -> { type, rotation?, note? }
  */
-export function getWeek(date = new Date()) {
-  const d = new Date(date);
-  const dayOfWeek = d.getDay();
-  const diff = d.getDate() - dayOfWeek; // Sunday of the week
+export function buildCalendarDays({ startDate, endDate, holidays = {}, halfDays = {}, specialsMode = 'AE' }) {
+  const days = {};
+  const letters = ROTATION_DAYS[specialsMode] || ROTATION_DAYS.AE;
+  let rotationIndex = 0;
   
-  const sunday = new Date(d);
-  sunday.setDate(diff);
-  sunday.setHours(0, 0, 0, 0);
+  for (let key = startDate; key <= endDate; key = addDays(key, 1)) {
+    const weekday = getWeekday(key);
+    if (weekday === 0 || weekday === 6) continue;
+    
+    if (key in holidays) {
+      days[key] = { type: 'holiday', note: holidays[key] || '' };
+      continue;
+    }
+    
+    days[key] = {
+      type: key in halfDays ? 'half' : 'instructional',
+      rotation: specialsMode === 'MF' ? letters[weekday - 1] : letters[rotationIndex++ % letters.length]
+    };
+    if (halfDays[key]) days[key].note = halfDays[key];
+  }
   
-  const saturday = new Date(sunday);
-  saturday.setDate(sunday.getDate() + 6);
-  saturday.setHours(23, 59, 59, 999);
+  return days;
+}
+
+/**
+ * Calendar entry for a date
+ * @param {Object|null} calendar - From loadCalendar
+ * @param {Date|string} date 
+ * @returns {Object|null} { type, rotation?, note? } or null if not in the calendar
+ */
+export function getCalendarDay(calendar, date) {
+  return calendar?.days?.[toDayKey(date)] || null;
+}
+
+/**
+ * Whether students attend on a date (instructional or half day)
+ * @param {Object|null} calendar 
+ * @param {Date|string} date 
+ * @returns {boolean}
+ */
+export function isSchoolDay(calendar, date) {
+  const entry = getCalendarDay(calendar, date);
+  return entry?.type === 'instructional' || entry?.type === 'half';
+}
+
+/**
+ * Rotation letter for a date
+ * @param {Object|null} calendar 
+ * @param {Date|string} date 
+ * @returns {string|null} e.g. 'C', or null on non-school days
+ */
+export function getRotationDay(calendar, date) {
+  return isSchoolDay(calendar, date) ? getCalendarDay(calendar, date).rotation || null : null;
+}
+
+/**
+ * School days within a date range
+ * @param {Object|null} calendar 
+ * @param {Object} range - { start, end } as Dates or YYYY-MM-DD keys (inclusive)
+ * @returns {string[]} Sorted YYYY-MM-DD keys
+ */
+export function getInstructionalDays(calendar, { start, end }) {
+  const startKey = toDayKey(start);
+  const endKey = toDayKey(end);
   
-  return {
-    startISO: sunday.toISOString(),
-    endISO: saturday.toISOString(),
-    key: `${sunday.getFullYear()}-W${String(Math.ceil((sunday.getDate()) / 7)).padStart(2, '0')}`
-  };
+  return Object.keys(calendar?.days || {})
+    .filter(key => key >= startKey && key <= endKey && isSchoolDay(calendar, key))
+    .sort();
+}
+
+function toDayKey(date) {
+  return typeof date === 'string' ? date : getTodayKey(date);
 }
 
 // ============================================================================
@@ -72,7 +156,7 @@ export function getWeek(date = new Date()) {
 // ============================================================================
 
 /**
- * Load students for a specific teacher
+ * Load students for a specific teacher (archived students are left out)
  * @param {string} schoolId 
  * @param {string} teacherId 
  * @returns {Promise<Array>} Array of student documents
@@ -82,51 +166,159 @@ export async function loadTeacherStudents(schoolId, teacherId) {
   const q = query(studentsRef, where('teacherId', '==', teacherId));
   const snapshot = await getDocs(q);
   
-  return snapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
+  return snapshot.docs
+    .map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }))
+    .filter(student => !student.archived);
+}
+
+/**
+ * Load everything the teacher dashboard needs in parallel: students, their
+ * active plans, today's day docs and accommodations. Plans and
+ * accommodations are fetched with batched `in` queries. Results are cached
+ * until invalidated, so re-renders don't go back to Firestore.
+ * @param {string} schoolId 
+ * @param {string} teacherId 
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Object} options - { force: boolean } to bypass the cache
+ * @returns {Promise<Array>} Students with plan, dayData and accommodations attached
+ */
+export async function loadTeacherDashboard(schoolId, teacherId, dayKey, { force = false } = {}) {
+  const cacheKey = `dashboard/${schoolId}/${teacherId}/${dayKey}`;
+  if (!force && cache.has(cacheKey)) return cache.get(cacheKey);
+  
+  const load = (async () => {
+    const students = await loadTeacherStudents(schoolId, teacherId);
+    const withPlans = students.filter(student => student.activePlanId);
+    
+    const [plans, days, accommodations] = await Promise.all([
+      loadDocsByIds(collection(db, 'schools', schoolId, 'plans'), withPlans.map(s => s.activePlanId)),
+      Promise.all(withPlans.map(student => loadDay(schoolId, student.activePlanId, dayKey))),
+      loadDocsByIds(collection(db, 'schools', schoolId, 'accommodations'), withPlans.map(s => s.id))
+    ]);
+    
+    withPlans.forEach((student, index) => {
+      const plan = plans.get(student.activePlanId);
+      student.plan = plan ? { id: student.activePlanId, ...plan } : null;
+      student.dayData = days[index];
+      student.accommodations = accommodations.get(student.id) || null;
+    });
+    
+    return students;
+  })();
+  
+  cache.set(cacheKey, load);
+  
+  try {
+    return await load;
+  } catch (err) {
+    // Don't keep a failed load around
+    cache.delete(cacheKey);
+    throw err;
+  }
+}
+
+/**
+ * Drop cached loads
+ * @param {string} prefix - Key prefix, e.g. `dashboard/${schoolId}`; omit to clear everything
+ */
+export function invalidateCache(prefix = '') {
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) {
+      cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Fetch documents by id with as few queries as possible
+ * @param {CollectionReference} collectionRef 
+ * @param {string[]} ids 
+ * @returns {Promise<Map>} id -> document data
+ */
+async function loadDocsByIds(collectionRef, ids) {
+  const unique = [...new Set(ids)];
+  const chunks = [];
+  for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+    chunks.push(unique.slice(i, i + IN_QUERY_LIMIT));
+  }
+  
+  const snapshots = await Promise.all(chunks.map(chunk =>
+    getDocs(query(collectionRef, where(documentId(), 'in', chunk)))
+  ));
+  
+  const results = new Map();
+  for (const snapshot of snapshots) {
+    for (const docSnap of snapshot.docs) {
+      results.set(docSnap.id, docSnap.data());
+    }
+  }
+  return results;
+}
+
+/**
+ * Id of the specials roster index doc for a day code and subject.
+ * Must match specialsRosterId() in functions/index.js.
+ * @param {string} dayCode 
+ * @param {string} [subjectId] - Omit for the roster of subject-less plans
+ * @returns {string}
+ */
+export function specialsRosterId(dayCode, subjectId = ANY_SUBJECT) {
+  return `${dayCode}_${subjectId}`.replace(/\//g, '-');
 }
 
 /**
- * Load all students for a specials teacher on a specific day
+ * Load all students for a specials teacher on a specific day.
+ * Reads the specials_rosters index maintained by Cloud Functions, then
+ * fetches the listed students, plans and accommodations with batched
+ * queries. Students whose plans have no period subjects yet are listed under
+ * every subject.
  * @param {string} schoolId 
  * @param {string} dayCode - e.g., 'A', 'B', 'M', 'F'
- * @param {string} subjectId 
- * @returns {Promise<Array>} Array of students with their plans
+ * @param {string} subjectId - e.g., 'Art'
+ * @returns {Promise<Array>} Students with plan, accommodations and specialsPeriodId attached
  */
 export async function loadSpecialsDay(schoolId, dayCode, subjectId) {
-  // Load all students
-  const studentsRef = collection(db, 'schools', schoolId, 'students');
-  const studentsSnapshot = await getDocs(studentsRef);
+  const rostersRef = collection(db, 'schools', schoolId, 'specials_rosters');
+  const [subjectDoc, anyDoc] = await Promise.all([
+    getDoc(doc(rostersRef, specialsRosterId(dayCode, subjectId))),
+    getDoc(doc(rostersRef, specialsRosterId(dayCode)))
+  ]);
+  
+  const entries = {
+    ...(anyDoc.exists() ? anyDoc.data().students : null),
+    ...(subjectDoc.exists() ? subjectDoc.data().students : null)
+  };
+  const studentIds = Object.keys(entries);
+  if (studentIds.length === 0) return [];
   
-  const students = [];
+  const [students, plans, accommodations] = await Promise.all([
+    loadDocsByIds(collection(db, 'schools', schoolId, 'students'), studentIds),
+    loadDocsByIds(collection(db, 'schools', schoolId, 'plans'), studentIds.map(id => entries[id].planId)),
+    loadDocsByIds(collection(db, 'schools', schoolId, 'accommodations'), studentIds)
+  ]);
   
-  for (const studentDoc of studentsSnapshot.docs) {
-    const student = { id: studentDoc.id, ...studentDoc.data() };
+  const results = [];
+  for (const studentId of studentIds) {
+    const entry = entries[studentId];
+    const student = students.get(studentId);
+    const plan = plans.get(entry.planId);
     
-    if (student.activePlanId) {
-      // Load their active plan
-      const planDoc = await getDoc(doc(db, 'schools', schoolId, 'plans', student.activePlanId));
-      if (planDoc.exists()) {
-        const plan = planDoc.data();
-        
-        // Check if this day code exists in their schedule
-        const hasDayCode = plan.schedule?.some(period => 
-          period.label === dayCode || period.id === dayCode
-        );
-        
-        if (hasDayCode) {
-          students.push({
-            ...student,
-            plan: { id: planDoc.id, ...plan }
-          });
-        }
-      }
-    }
+    // Index can briefly lag behind a plan switch or an archive
+    if (!student || !plan || student.archived || student.activePlanId !== entry.planId) continue;
+    
+    results.push({
+      id: studentId,
+      ...student,
+      plan: { id: entry.planId, ...plan },
+      accommodations: accommodations.get(studentId) || null,
+      specialsPeriodId: entry.periodId
+    });
   }
   
-  return students;
+  return results;
 }
 
 /**
@@ -159,6 +351,136 @@ export async function loadDay(schoolId, planId, dayKey) {
   return dayDoc.data();
 }
 
+/**
+ * Load one page of audit log entries, newest first
+ * Each equality filter combination needs an index in firestore.indexes.json.
+ * @param {string} schoolId 
+ * @param {Object} filters - { actedBy, action, studentId, planId, startKey, endKey } (all optional)
+ * @param {Object} options - { pageSize, after } where after is the previous page's cursor
+ * @returns {Promise<Object>} { entries, cursor, hasMore }
+ */
+export async function loadAuditLogs(schoolId, filters = {}, { pageSize = 50, after = null } = {}) {
+  const constraints = [];
+  
+  for (const field of ['actedBy', 'action', 'studentId', 'planId']) {
+    if (filters[field]) {
+      constraints.push(where(field, '==', filters[field]));
+    }
+  }
+  if (filters.startKey) {
+    constraints.push(where('ts', '>=', Timestamp.fromDate(getDayBounds(filters.startKey).start)));
+  }
+  if (filters.endKey) {
+    constraints.push(where('ts', '<', Timestamp.fromDate(getDayBounds(filters.endKey).end)));
+  }
+  
+  constraints.push(orderBy('ts', 'desc'));
+  if (after) constraints.push(startAfter(after));
+  constraints.push(limit(pageSize + 1)); // One extra tells us if there's another page
+  
+  const snapshot = await getDocs(query(collection(db, 'schools', schoolId, 'audit_logs'), ...constraints));
+  const docs = snapshot.docs.slice(0, pageSize);
+  
+  return {
+    entries: docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })),
+    cursor: docs[docs.length - 1] || null,
+    hasMore: snapshot.docs.length > pageSize
+  };
+}
+
+/**
+ * Load the school calendar covering a date (cached)
+ * @param {string} schoolId 
+ * @param {Date|string} date 
+ * @returns {Promise<Object|null>} { id, startDate, endDate, specialsMode, days } or null
+ */
+export async function loadCalendar(schoolId, date = new Date()) {
+  const yearId = getSchoolYearId(date);
+  const cacheKey = `calendar/${schoolId}/${yearId}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+  
+  const calendarDoc = await getDoc(doc(db, 'schools', schoolId, 'calendars', yearId));
+  const calendar = calendarDoc.exists() ? { id: calendarDoc.id, ...calendarDoc.data() } : null;
+  
+  cache.set(cacheKey, calendar);
+  return calendar;
+}
+
+// Furthest to look for a school day; long enough to cross summer break
+const SCHOOL_DAY_SEARCH_LIMIT = 120;
+
+/**
+ * Nearest school day on or after (step 1) or on or before (step -1) a date.
+ * Each day is checked against its own school year's calendar, so a search
+ * can cross July 1. Stops at the first day with no calendar to check.
+ * @param {string} schoolId 
+ * @param {Date} date 
+ * @param {number} step - 1 or -1
+ * @returns {Promise<Date>} The school day, or `date` if none was found
+ */
+export async function findSchoolDay(schoolId, date, step) {
+  let dayKey = getTodayKey(date);
+  
+  for (let i = 0; i < SCHOOL_DAY_SEARCH_LIMIT; i++) {
+    const calendar = await loadCalendar(schoolId, dayKey);
+    if (!calendar || isSchoolDay(calendar, dayKey)) {
+      return i === 0 ? date : dayKeyToDate(dayKey);
+    }
+    dayKey = addDays(dayKey, step);
+  }
+  
+  return date;
+}
+
+/**
+ * Load a plan's day documents within a date range (inclusive)
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {string} startKey - YYYY-MM-DD
+ * @param {string} endKey - YYYY-MM-DD
+ * @returns {Promise<Array>} Day data with `dayKey`, oldest first
+ */
+export async function loadDaysInRange(schoolId, planId, startKey, endKey) {
+  const daysRef = collection(db, 'schools', schoolId, 'plans', planId, 'days');
+  const q = query(
+    daysRef,
+    where(documentId(), '>=', startKey),
+    where(documentId(), '<=', endKey),
+    orderBy(documentId())
+  );
+  const snapshot = await getDocs(q);
+  
+  return snapshot.docs.map(dayDoc => ({
+    dayKey: dayDoc.id,
+    ...dayDoc.data()
+  }));
+}
+
+/**
+ * Load incidents for a plan day
+ * Includes entries from the legacy `incidents` array on older day docs
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Object|null} dayData - Already-loaded day doc, for legacy entries
+ * @returns {Promise<Array>} Incidents, oldest first, voided included
+ */
+export async function loadIncidents(schoolId, planId, dayKey, dayData = null) {
+  const incidentsRef = collection(db, 'schools', schoolId, 'plans', planId, 'days', dayKey, 'incidents');
+  const snapshot = await getDocs(query(incidentsRef, orderBy('ts')));
+  
+  const incidents = snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+  
+  const legacy = (dayData?.incidents || []).filter(
+    old => !incidents.some(incident => incident.id === old.id)
+  );
+  
+  return [...legacy, ...incidents].sort((a, b) => a.ts - b.ts);
+}
+
 /**
  * Load school configuration
  * @param {string} schoolId 
@@ -168,10 +490,15 @@ export async function loadSchool(schoolId) {
   const schoolDoc = await getDoc(doc(db, 'schools', schoolId));
   if (!schoolDoc.exists()) return null;
   
-  return {
+  const school = {
     id: schoolDoc.id,
     ...schoolDoc.data()
   };
+  
+  // Day keys everywhere follow the school's timezone and week model
+  configureDates(school);
+  
+  return school;
 }
 
 /**
@@ -203,9 +530,83 @@ export async function loadAccommodations(schoolId, studentId) {
   return accomDoc.data();
 }
 
+// ============================================================================
+// SUBSCRIPTIONS (Each returns an unsubscribe function)
+// ============================================================================
+
+/**
+ * Subscribe to live day data for a specific plan
+ * Fires immediately with the current data, then on every change
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Function} callback - (dayData|null, { hasPendingWrites }) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDay(schoolId, planId, dayKey, callback) {
+  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
+  
+  return onSnapshot(dayRef, (snapshot) => {
+    callback(snapshot.exists() ? snapshot.data() : null, {
+      hasPendingWrites: snapshot.metadata.hasPendingWrites
+    });
+  }, () => {
+    console.error('[Data] Day subscription error');
+  });
+}
+
+/**
+ * Subscribe to the incidents logged on a plan day
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Function} callback - (incidents) => void, oldest first, voided included
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeIncidents(schoolId, planId, dayKey, callback) {
+  const incidentsRef = collection(db, 'schools', schoolId, 'plans', planId, 'days', dayKey, 'incidents');
+  
+  return onSnapshot(query(incidentsRef, orderBy('ts')), (snapshot) => {
+    callback(snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })));
+  }, () => {
+    console.error('[Data] Incident subscription error');
+  });
+}
+
+/**
+ * Subscribe to the students assigned to a teacher
+ * Fires immediately with the current roster, then whenever a student is
+ * added, removed, edited or archived
+ * @param {string} schoolId 
+ * @param {string} teacherId 
+ * @param {Function} callback - (students) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTeacherRoster(schoolId, teacherId, callback) {
+  const studentsRef = collection(db, 'schools', schoolId, 'students');
+  const q = query(studentsRef, where('teacherId', '==', teacherId));
+  
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .filter(student => !student.archived));
+  }, () => {
+    console.error('[Data] Roster subscription error');
+  });
+}
+
 // ============================================================================
 // WRITERS (All include audit logging)
 // ============================================================================
+// Scoring writes go through the IndexedDB outbox so a dropped connection never
+// loses a tap. The exported functions queue the write and try to flush; the
+// write* functions below perform the actual Firestore calls on replay.
 
 /**
  * Save a single matrix cell value
@@ -216,26 +617,10 @@ export async function loadAccommodations(schoolId, studentId) {
  * @param {string} goalId 
  * @param {number|boolean} value 
  * @param {Object} ctx - Audit context from auth
+ * @returns {Promise<boolean>} true if written, false if still queued offline
  */
 export async function saveMatrixCell(schoolId, planId, dayKey, periodId, goalId, value, ctx) {
-  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
-  
-  // Update the specific cell
-  await setDoc(dayRef, {
-    [`matrix.${periodId}.${goalId}`]: value,
-    lastModified: serverTimestamp()
-  }, { merge: true });
-  
-  // Recalculate totals
-  await recalculateDayTotals(schoolId, planId, dayKey);
-  
-  // Audit log
-  await audit(schoolId, {
-    ...ctx,
-    action: 'matrix_cell_update',
-    target: `${planId}/${dayKey}`,
-    details: { periodId, goalId, value }
-  });
+  return enqueueWrite('matrix_cell', { schoolId, planId, dayKey, periodId, goalId, value, ctx });
 }
 
 /**
@@ -246,29 +631,10 @@ export async function saveMatrixCell(schoolId, planId, dayKey, periodId, goalId,
  * @param {string} role - 'teacher' or specials subject ID
  * @param {string} text 
  * @param {Object} ctx 
+ * @returns {Promise<boolean>} true if written, false if still queued offline
  */
 export async function saveComment(schoolId, planId, dayKey, role, text, ctx) {
-  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
-  
-  if (role === 'teacher') {
-    await updateDoc(dayRef, {
-      'comments.teacher': text,
-      lastModified: serverTimestamp()
-    });
-  } else {
-    // Specials comment
-    await updateDoc(dayRef, {
-      [`comments.specials.${role}`]: text,
-      lastModified: serverTimestamp()
-    });
-  }
-  
-  await audit(schoolId, {
-    ...ctx,
-    action: 'comment_save',
-    target: `${planId}/${dayKey}`,
-    details: { role, textLength: text.length }
-  });
+  return enqueueWrite('comment', { schoolId, planId, dayKey, role, text, ctx });
 }
 
 /**
@@ -280,10 +646,10 @@ export async function saveComment(schoolId, planId, dayKey, role, text, ctx) {
  * @param {string} note - Optional note
  * @param {string} source - 'teacher' or 'specials'
  * @param {Object} ctx 
+ * @returns {Promise<Object>} The incident record (use its id to edit/void/undo)
  */
 export async function logCustomIncident(schoolId, planId, dayKey, button, note, source, ctx) {
-  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
-  
+  // Build the incident now so its id and timestamp reflect the tap, not the replay
   const incident = {
     id: `inc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     label: button.label,
@@ -292,135 +658,1070 @@ export async function logCustomIncident(schoolId, planId, dayKey, button, note,
     ts: Date.now(),
     source
   };
-  
-  const dayDoc = await getDoc(dayRef);
-  const currentIncidents = dayDoc.exists() ? (dayDoc.data().incidents || []) : [];
-  
-  await setDoc(dayRef, {
-    incidents: [...currentIncidents, incident],
-    lastModified: serverTimestamp()
-  }, { merge: true });
-  
-  await audit(schoolId, {
-    ...ctx,
-    action: 'incident_log',
-    target: `${planId}/${dayKey}`,
-    details: { label: button.label, source, hasNote: !!note }
-  });
+
+  await enqueueWrite('incident', { schoolId, planId, dayKey, incident, ctx });
+  return incident;
 }
 
 /**
- * Recalculate day totals based on matrix data
+ * Edit the note on a logged incident
  * @param {string} schoolId 
  * @param {string} planId 
  * @param {string} dayKey 
+ * @param {string} incidentId 
+ * @param {string} note 
+ * @param {Object} ctx 
+ * @returns {Promise<boolean>} true if written, false if still queued offline
  */
-async function recalculateDayTotals(schoolId, planId, dayKey) {
-  const planDoc = await getDoc(doc(db, 'schools', schoolId, 'plans', planId));
-  if (!planDoc.exists()) return;
-  
-  const plan = planDoc.data();
-  const dayDoc = await getDoc(doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey));
-  if (!dayDoc.exists()) return;
-  
-  const dayData = dayDoc.data();
-  const matrix = dayData.matrix || {};
-  
-  let totalPoints = 0;
-  let totalPossible = 0;
-  let amPoints = 0;
-  let amPossible = 0;
-  let pmPoints = 0;
-  let pmPossible = 0;
-  
-  // Calculate based on plan type
-  for (const period of (plan.schedule || [])) {
-    const periodData = matrix[period.id] || {};
-    
-    for (const goal of (plan.goals || [])) {
-      const value = periodData[goal.id];
-      
-      if (value !== undefined && value !== null) {
-        if (goal.kind === 'stepper') {
-          totalPoints += Number(value);
-          totalPossible += 2;
-          
-          if (period.am) {
-            amPoints += Number(value);
-            amPossible += 2;
-          } else {
-            pmPoints += Number(value);
-            pmPossible += 2;
-          }
-        } else if (goal.kind === 'checkbox') {
-          totalPoints += value ? 1 : 0;
-          totalPossible += 1;
-          
-          if (period.am) {
-            amPoints += value ? 1 : 0;
-            amPossible += 1;
-          } else {
-            pmPoints += value ? 1 : 0;
-            pmPossible += 1;
-          }
-        }
-      }
-    }
-  }
-  
-  const totals = {
-    pct: totalPossible > 0 ? Math.round((totalPoints / totalPossible) * 100) : 0
-  };
-  
-  if (plan.planType.includes('AMPM')) {
-    totals.amPct = amPossible > 0 ? Math.round((amPoints / amPossible) * 100) : 0;
-    totals.pmPct = pmPossible > 0 ? Math.round((pmPoints / pmPossible) * 100) : 0;
-  }
-  
-  await updateDoc(doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey), {
-    totals
-  });
+export async function updateIncidentNote(schoolId, planId, dayKey, incidentId, note, ctx) {
+  return enqueueWrite('incident_edit', { schoolId, planId, dayKey, incidentId, note, ctx });
 }
 
 /**
- * Set school theme
+ * Void an incident. The record is kept (and hidden from parents) so the
+ * correction stays auditable.
  * @param {string} schoolId 
- * @param {Object} theme - { mode, vars }
+ * @param {string} planId 
+ * @param {string} dayKey 
+ * @param {string} incidentId 
+ * @param {string} reason - Why it was voided (e.g. 'Wrong student', 'Undone')
+ * @param {Object} ctx 
+ * @returns {Promise<boolean>} true if written, false if still queued offline
  */
-export async function setTheme(schoolId, theme) {
-  await updateDoc(doc(db, 'schools', schoolId), {
-    theme
-  });
+export async function voidIncident(schoolId, planId, dayKey, incidentId, reason, ctx) {
+  return enqueueWrite('incident_void', { schoolId, planId, dayKey, incidentId, reason, ctx });
 }
 
 /**
- * Audit log helper
- * @param {string} schoolId 
- * @param {Object} entry - Audit entry
+ * How long after logging an incident the toast offers Undo
  */
-export async function audit(schoolId, entry) {
-  await addDoc(collection(db, 'schools', schoolId, 'audit_logs'), {
-    ts: serverTimestamp(),
-    ...entry
-  });
-}
-
-// ============================================================================
-// DEMO SEEDING
-// ============================================================================
+export const INCIDENT_UNDO_WINDOW_MS = 8000;
 
 /**
- * Seed demo data for testing
- * @param {string} schoolId 
- * @param {Object} options - { seed: number, specialsMode: 'AE'|'MF' }
+ * Flush any queued writes now (e.g. from "Save All")
+ * @returns {Promise<boolean>} true if nothing is left pending
  */
-export async function seedDemo(schoolId, options = {}) {
-  const { seed = 1337, specialsMode = 'AE' } = options;
+export async function flushPendingWrites() {
+  return flushOutbox();
+}
+
+async function writeMatrixCell({ schoolId, planId, dayKey, periodId, goalId, value, ctx }) {
+  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
   
-  // Use deterministic seed for reproducible data
-  const rng = seededRandom(seed);
+  // Update the specific cell. Totals (and the plan version the day is
+  // scored against) are set server-side by the computeDayTotals trigger in
+  // functions/index.js. The auditDayWrite trigger audits the change as
+  // lastModifiedBy.
+  await setDoc(dayRef, {
+    matrix: { [periodId]: { [goalId]: value } },
+    lastModified: serverTimestamp(),
+    lastModifiedBy: ctx.actedBy
+  }, { merge: true });
+}
+
+async function writeComment({ schoolId, planId, dayKey, role, text, ctx }) {
+  const dayRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey);
   
-  const batch = writeBatch(db);
+  // Merge rather than update so a comment on an unscored day still lands
+  const comments = role === 'teacher'
+    ? { teacher: text }
+    : { specials: { [role]: text } };
+  
+  await setDoc(dayRef, {
+    comments,
+    lastModified: serverTimestamp(),
+    lastModifiedBy: ctx.actedBy
+  }, { merge: true });
+}
+
+async function writeIncident({ schoolId, planId, dayKey, incident, ctx }) {
+  // Each incident is its own document so concurrent taps never collide
+  const incidentRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey, 'incidents', incident.id);
+  
+  // A replay after a timed-out attempt may find the incident already saved
+  const existing = await getDoc(incidentRef);
+  if (existing.exists()) return;
+  
+  // Audited by the auditIncidentWrite trigger, as are edits and voids
+  await setDoc(incidentRef, {
+    ...incident,
+    voided: false,
+    loggedBy: ctx.actedBy,
+    createdAt: serverTimestamp()
+  });
+}
+
+async function writeIncidentEdit({ schoolId, planId, dayKey, incidentId, note, ctx }) {
+  const incidentRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey, 'incidents', incidentId);
+  
+  await updateDoc(incidentRef, {
+    note: note || null,
+    editedBy: ctx.actedBy,
+    editedAt: serverTimestamp()
+  });
+}
+
+async function writeIncidentVoid({ schoolId, planId, dayKey, incidentId, reason, ctx }) {
+  const incidentRef = doc(db, 'schools', schoolId, 'plans', planId, 'days', dayKey, 'incidents', incidentId);
+  
+  await updateDoc(incidentRef, {
+    voided: true,
+    voidReason: reason,
+    voidedBy: ctx.actedBy,
+    voidedAt: serverTimestamp()
+  });
+}
+
+registerOutboxHandler('matrix_cell', writeMatrixCell);
+registerOutboxHandler('comment', writeComment);
+registerOutboxHandler('incident', writeIncident);
+registerOutboxHandler('incident_edit', writeIncidentEdit);
+registerOutboxHandler('incident_void', writeIncidentVoid);
+
+/**
+ * Save a school year calendar
+ * @param {string} schoolId 
+ * @param {Object} calendar - { id, startDate, endDate, specialsMode, days }
+ * @param {Object} ctx - Audit context
+ */
+export async function saveCalendar(schoolId, calendar, ctx) {
+  const { id, ...data } = calendar;
+  
+  await setDoc(doc(db, 'schools', schoolId, 'calendars', id), {
+    ...data,
+    updatedAt: serverTimestamp()
+  });
+  
+  invalidateCache(`calendar/${schoolId}/`);
+  
+  await audit(schoolId, {
+    ...ctx,
+    action: 'calendar_update',
+    target: id,
+    details: { startDate: data.startDate, endDate: data.endDate, days: Object.keys(data.days || {}).length }
+  });
+}
+
+/**
+ * Set school theme
+ * @param {string} schoolId 
+ * @param {Object} theme - { mode, vars }
+ */
+export async function setTheme(schoolId, theme) {
+  await updateDoc(doc(db, 'schools', schoolId), {
+    theme
+  });
+}
+
+// Actions in the audit log, for the admin audit log filter
+export const AUDIT_ACTIONS = [
+  'matrix_cell_update',
+  'comment_save',
+  'incident_log',
+  'incident_edit',
+  'incident_void',
+  'plan_create',
+  'plan_update',
+  'plan_restore',
+  'plan_bulk_assign',
+  'student_create',
+  'student_update',
+  'student_transfer',
+  'student_archive',
+  'student_restore',
+  'template_save',
+  'template_delete',
+  'roster_import',
+  'staff_invite',
+  'staff_update',
+  'staff_remove',
+  'parent_code_create',
+  'parent_code_revoke',
+  'parent_link',
+  'parent_link_revoke',
+  'school_profile_update',
+  'calendar_update',
+  'imitation_start',
+  'imitation_stop',
+  'imitation_expire'
+];
+
+/**
+ * Audit an action that changes no audited document (templates, calendar,
+ * school profile, roster import summaries). Changes to days, incidents,
+ * plans and students are audited by Cloud Functions triggers instead, from
+ * the actor fields written with them (lastModifiedBy, loggedBy, editedBy,
+ * voidedBy, updatedBy). The recordAudit function takes the actor and
+ * imitation session from the verified request, so the audit context
+ * fields are not sent.
+ * @param {string} schoolId - Caller's school (the function uses the token's)
+ * @param {Object} entry - { ...getAuditContext(), action, target, details }
+ */
+export async function audit(schoolId, entry) {
+  const { action, target, details } = entry;
+  await callFunction('recordAudit', { action, target, details });
+}
+
+// ============================================================================
+// PLAN REVISIONS
+// Plans are edited in place. Each save bumps plan.version and stores a full
+// copy of the plan's content in plans/{planId}/revisions/{version}, so any
+// version can be diffed against another or restored (as a new version).
+// ============================================================================
+
+// Plan fields that make up a revision (status fields like `active` are not versioned)
+export const PLAN_CONTENT_FIELDS = [
+  'studentId',
+  'teacherId',
+  'planType',
+  'schedule',
+  'goals',
+  'customButtons',
+  'incentives',
+  'periodCriterion',
+  'accommodations'
+];
+
+// Content fields that say whose plan it is; a restore keeps the current ones
+const PLAN_OWNERSHIP_FIELDS = ['studentId', 'teacherId'];
+
+function pickPlanContent(plan) {
+  const content = {};
+  for (const field of PLAN_CONTENT_FIELDS) {
+    if (plan[field] !== undefined) content[field] = plan[field];
+  }
+  return content;
+}
+
+/**
+ * Create a plan, or save edits to an existing one as its next version
+ * @param {string} schoolId 
+ * @param {string|null} planId - null to create a new plan
+ * @param {Object} plan - Plan content (see PLAN_CONTENT_FIELDS)
+ * @param {Object} ctx - Audit context
+ * @param {Object} options - { restoredFrom } when restoring an old version
+ * @returns {Promise<Object>} { planId, version }
+ */
+export async function savePlan(schoolId, planId, plan, ctx, { restoredFrom = null } = {}) {
+  const id = planId || `plan_${Date.now()}`;
+  const planRef = doc(db, 'schools', schoolId, 'plans', id);
+  const revisionsRef = collection(planRef, 'revisions');
+  let content = pickPlanContent(plan);
+  
+  const version = await runTransaction(db, async (tx) => {
+    const snap = planId ? await tx.get(planRef) : null;
+    
+    if (!snap?.exists()) {
+      tx.set(planRef, { ...content, version: 1, active: true, createdAt: serverTimestamp(), updatedBy: ctx.actedBy });
+      tx.set(doc(revisionsRef, '1'), {
+        version: 1,
+        plan: content,
+        savedBy: ctx.actedBy,
+        savedAt: serverTimestamp()
+      });
+      return 1;
+    }
+    
+    const current = snap.data();
+    const currentVersion = current.version || 1;
+    
+    // A restored version brings back the plan's content, not an old
+    // student or a teacher the student has since been transferred from
+    if (restoredFrom !== null) {
+      content = { ...content };
+      for (const field of PLAN_OWNERSHIP_FIELDS) {
+        if (current[field] !== undefined) content[field] = current[field];
+      }
+    }
+    
+    // Plans saved before versioning have no revision for their only version
+    if (!current.version) {
+      tx.set(doc(revisionsRef, '1'), {
+        version: 1,
+        plan: pickPlanContent(current),
+        savedBy: null,
+        savedAt: current.createdAt || serverTimestamp()
+      });
+    }
+    
+    const next = currentVersion + 1;
+    tx.update(planRef, { ...content, version: next, updatedAt: serverTimestamp(), updatedBy: ctx.actedBy });
+    tx.set(doc(revisionsRef, String(next)), {
+      version: next,
+      plan: content,
+      savedBy: ctx.actedBy,
+      savedAt: serverTimestamp(),
+      restoredFrom
+    });
+    return next;
+  });
+  
+  return { planId: id, version };
+}
+
+/**
+ * Load every revision of a plan, newest first
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @returns {Promise<Array>} [{ version, plan, savedBy, savedAt, restoredFrom }]
+ */
+export async function loadPlanRevisions(schoolId, planId) {
+  const revisionsRef = collection(db, 'schools', schoolId, 'plans', planId, 'revisions');
+  const snapshot = await getDocs(query(revisionsRef, orderBy('version', 'desc')));
+  
+  return snapshot.docs.map(revisionDoc => revisionDoc.data());
+}
+
+/**
+ * Load one revision of a plan
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {number} version 
+ * @returns {Promise<Object|null>} { version, plan, savedBy, savedAt, restoredFrom }
+ */
+export async function loadPlanRevision(schoolId, planId, version) {
+  const revisionDoc = await getDoc(doc(db, 'schools', schoolId, 'plans', planId, 'revisions', String(version)));
+  return revisionDoc.exists() ? revisionDoc.data() : null;
+}
+
+/**
+ * Restore an earlier version of a plan by saving it as the newest version.
+ * The plan keeps its current student and teacher.
+ * @param {string} schoolId 
+ * @param {string} planId 
+ * @param {Object} revision - Entry from loadPlanRevisions()
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<Object>} { planId, version }
+ */
+export async function restorePlanRevision(schoolId, planId, revision, ctx) {
+  return savePlan(schoolId, planId, revision.plan, ctx, { restoredFrom: revision.version });
+}
+
+/**
+ * List what changed between two versions of a plan
+ * List items (schedule, goals, buttons, thresholds, accommodations) are
+ * matched by id, or by label when they have none.
+ * @param {Object} before - Older plan content
+ * @param {Object} after - Newer plan content
+ * @returns {Array} [{ field, change: 'added'|'removed'|'changed', label, from?, to? }]
+ */
+export function diffPlans(before, after) {
+  const changes = [];
+  const lists = {
+    schedule: plan => plan.schedule,
+    goals: plan => plan.goals,
+    customButtons: plan => plan.customButtons,
+    thresholds: plan => plan.incentives?.thresholds,
+    accommodations: plan => plan.accommodations
+  };
+  
+  for (const field of ['studentId', 'teacherId', 'planType', 'periodCriterion']) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes.push({ field, change: 'changed', label: field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+  
+  for (const [field, getList] of Object.entries(lists)) {
+    const keyOf = (item, index) => item.id || item.label || `#${index + 1}`;
+    const oldItems = new Map((getList(before) || []).map((item, i) => [keyOf(item, i), item]));
+    const newItems = new Map((getList(after) || []).map((item, i) => [keyOf(item, i), item]));
+    
+    for (const [key, item] of oldItems) {
+      if (!newItems.has(key)) {
+        changes.push({ field, change: 'removed', label: item.label || key, from: item });
+      } else if (JSON.stringify(item) !== JSON.stringify(newItems.get(key))) {
+        changes.push({ field, change: 'changed', label: newItems.get(key).label || key, from: item, to: newItems.get(key) });
+      }
+    }
+    for (const [key, item] of newItems) {
+      if (!oldItems.has(key)) {
+        changes.push({ field, change: 'added', label: item.label || key, to: item });
+      }
+    }
+  }
+  
+  return changes;
+}
+
+// ============================================================================
+// PLAN TEMPLATES
+// Named school templates hold a plan's content without its student and
+// teacher. Applying one to many students is a single batched write.
+// ============================================================================
+
+// Each assigned student takes four writes (plan, revision, student and
+// their previous plan) and a batch holds at most 500
+export const BULK_ASSIGN_LIMIT = 120;
+
+/**
+ * Load the school's plan templates, sorted by name
+ * @param {string} schoolId 
+ * @returns {Promise<Array>} [{ id, name, plan, ... }]
+ */
+export async function loadPlanTemplates(schoolId) {
+  const snapshot = await getDocs(collection(db, 'schools', schoolId, 'plan_templates'));
+  
+  return snapshot.docs
+    .map(templateDoc => ({ id: templateDoc.id, ...templateDoc.data() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a plan's content as a named template
+ * @param {string} schoolId 
+ * @param {string} name 
+ * @param {Object} plan - Plan content; student and teacher are dropped
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<string>} Template id
+ */
+export async function savePlanTemplate(schoolId, name, plan, ctx) {
+  const { studentId, teacherId, ...content } = pickPlanContent(plan);
+  const templateId = `tpl_${Date.now()}`;
+  
+  await setDoc(doc(db, 'schools', schoolId, 'plan_templates', templateId), {
+    name,
+    plan: content,
+    createdBy: ctx.actedBy,
+    createdAt: serverTimestamp()
+  });
+  
+  await audit(schoolId, {
+    ...ctx,
+    action: 'template_save',
+    target: templateId,
+    details: { name, planType: content.planType, goals: content.goals?.length || 0 }
+  });
+  
+  return templateId;
+}
+
+/**
+ * Delete a plan template (plans created from it are unaffected)
+ * @param {string} schoolId 
+ * @param {Object} template - { id, name }
+ * @param {Object} ctx - Audit context
+ */
+export async function deletePlanTemplate(schoolId, template, ctx) {
+  await deleteDoc(doc(db, 'schools', schoolId, 'plan_templates', template.id));
+  
+  await audit(schoolId, {
+    ...ctx,
+    action: 'template_delete',
+    target: template.id,
+    details: { name: template.name }
+  });
+}
+
+/**
+ * Create a plan from a template for each student and make it their active
+ * plan, in one batch. Each student's previous plan is deactivated and the
+ * whole assignment is audited as one plan_bulk_assign entry.
+ * @param {string} schoolId 
+ * @param {Object} template - { id, name, plan }
+ * @param {Array} assignments - [{ studentId, teacherId, schedule? }]; schedule overrides the template's
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<Array>} [{ studentId, planId }]
+ */
+export async function assignPlanTemplate(schoolId, template, assignments, ctx) {
+  if (assignments.length === 0) return [];
+  if (assignments.length > BULK_ASSIGN_LIMIT) {
+    throw new Error(`Assign to at most ${BULK_ASSIGN_LIMIT} students at a time`);
+  }
+  
+  const students = await loadDocsByIds(
+    collection(db, 'schools', schoolId, 'students'),
+    assignments.map(({ studentId }) => studentId)
+  );
+  const batch = writeBatch(db);
+  const stamp = Date.now();
+  
+  const created = assignments.map(({ studentId, teacherId, schedule }, index) => {
+    const planId = `plan_${stamp}_${index}`;
+    const planRef = doc(db, 'schools', schoolId, 'plans', planId);
+    const content = pickPlanContent({
+      ...template.plan,
+      studentId,
+      teacherId,
+      schedule: schedule || template.plan.schedule
+    });
+    
+    batch.set(planRef, {
+      ...content,
+      version: 1,
+      active: true,
+      templateId: template.id,
+      createdAt: serverTimestamp(),
+      updatedBy: ctx.actedBy
+    });
+    batch.set(doc(planRef, 'revisions', '1'), {
+      version: 1,
+      plan: content,
+      savedBy: ctx.actedBy,
+      savedAt: serverTimestamp()
+    });
+    batch.update(doc(db, 'schools', schoolId, 'students', studentId), { activePlanId: planId, updatedBy: ctx.actedBy });
+    
+    const previousPlanId = students.get(studentId)?.activePlanId;
+    if (previousPlanId) {
+      batch.update(doc(db, 'schools', schoolId, 'plans', previousPlanId), { active: false, updatedBy: ctx.actedBy });
+    }
+    
+    return { studentId, planId };
+  });
+  
+  await batch.commit();
+  invalidateCache(`dashboard/${schoolId}`);
+  
+  await audit(schoolId, {
+    ...ctx,
+    action: 'plan_bulk_assign',
+    target: template.id,
+    details: {
+      studentIds: created.map(({ studentId }) => studentId),
+      planIds: created.map(({ planId }) => planId)
+    }
+  });
+  
+  return created;
+}
+
+// ============================================================================
+// STUDENT MANAGEMENT
+// Students are never deleted: archiving deactivates their plan and drops
+// them from teacher and specials rosters while keeping their history.
+// Teacher changes go through transferStudent() so each move is recorded in
+// the student's `transfers` list with the date it took effect.
+// ============================================================================
+
+/**
+ * Check student fields shared by create and edit
+ * @param {string} schoolId 
+ * @param {Object} fields - { name, grade, parentEmails?, sisId? }
+ * @param {string|null} studentId - Student being edited, null when creating
+ * @returns {Promise<Object>} Cleaned fields
+ */
+async function validateStudentFields(schoolId, fields, studentId) {
+  const name = (fields.name || '').trim();
+  const grade = normalizeGrade(fields.grade || '');
+  const sisId = (fields.sisId || '').trim();
+  const parentEmails = (fields.parentEmails || [])
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  
+  if (!name) throw new Error('Student name is required');
+  if (!grade) throw new Error(`Grade "${fields.grade || ''}" is not K-12`);
+  
+  const badEmails = parentEmails.filter(email => !EMAIL_PATTERN.test(email));
+  if (badEmails.length > 0) throw new Error(`Invalid parent email: ${badEmails.join(', ')}`);
+  
+  // SIS ids are how roster imports find existing students, so keep them unique
+  if (sisId) {
+    const matches = await getDocs(query(
+      collection(db, 'schools', schoolId, 'students'),
+      where('sisId', '==', sisId)
+    ));
+    if (matches.docs.some(match => match.id !== studentId)) {
+      throw new Error(`Another student already has SIS id ${sisId}`);
+    }
+  }
+  
+  return { name, grade, parentEmails, sisId: sisId || null };
+}
+
+/**
+ * Add a student
+ * @param {string} schoolId 
+ * @param {Object} fields - { name, grade, teacherId?, parentEmails?, sisId? }
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<string>} New student id
+ */
+export async function createStudent(schoolId, fields, ctx) {
+  const data = {
+    ...(await validateStudentFields(schoolId, fields, null)),
+    teacherId: fields.teacherId || null,
+    activePlanId: null,
+    archived: false,
+    transfers: [],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    updatedBy: ctx.actedBy
+  };
+  
+  const studentRef = doc(collection(db, 'schools', schoolId, 'students'));
+  await setDoc(studentRef, data);
+  invalidateCache(`dashboard/${schoolId}`);
+  
+  return studentRef.id;
+}
+
+/**
+ * Edit a student's name, grade, parent emails or SIS id
+ * Use transferStudent() to change their teacher.
+ * @param {string} schoolId 
+ * @param {Object} student - Current student document ({ id, ... })
+ * @param {Object} fields - { name, grade, parentEmails, sisId }
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<Array>} Changes written: [{ field, from, to }]
+ */
+export async function updateStudent(schoolId, student, fields, ctx) {
+  const data = await validateStudentFields(schoolId, fields, student.id);
+  const changes = Object.keys(data)
+    .filter(field => JSON.stringify(student[field] ?? null) !== JSON.stringify(data[field]))
+    .map(field => ({ field, from: student[field] ?? null, to: data[field] }));
+  
+  if (changes.length === 0) return changes;
+  
+  await updateDoc(doc(db, 'schools', schoolId, 'students', student.id), {
+    ...data,
+    updatedAt: serverTimestamp(),
+    updatedBy: ctx.actedBy
+  });
+  
+  return changes;
+}
+
+/**
+ * Batch writes for the change savePlan() makes for a new teacher: the plan's
+ * next version and its revision. The revision is create-only in the rules,
+ * so the batch fails if the plan was saved again since it was read.
+ * @param {string} schoolId 
+ * @param {Object} plan - Current plan document ({ id, ... })
+ * @param {string} toTeacherId 
+ * @param {Object} ctx - Audit context
+ * @returns {Function[]} Each adds one write to a batch
+ */
+function movePlanToTeacher(schoolId, plan, toTeacherId, ctx) {
+  const planRef = doc(db, 'schools', schoolId, 'plans', plan.id);
+  const next = (plan.version || 1) + 1;
+  const writes = [];
+  
+  // Plans saved before versioning have no revision for their only version
+  if (!plan.version) {
+    writes.push(batch => batch.set(doc(planRef, 'revisions', '1'), {
+      version: 1,
+      plan: pickPlanContent(plan),
+      savedBy: null,
+      savedAt: plan.createdAt || serverTimestamp()
+    }));
+  }
+  
+  writes.push(
+    batch => batch.update(planRef, { teacherId: toTeacherId, version: next, updatedAt: serverTimestamp(), updatedBy: ctx.actedBy }),
+    batch => batch.set(doc(planRef, 'revisions', String(next)), {
+      version: next,
+      plan: pickPlanContent({ ...plan, teacherId: toTeacherId }),
+      savedBy: ctx.actedBy,
+      savedAt: serverTimestamp(),
+      restoredFrom: null
+    })
+  );
+  return writes;
+}
+
+/**
+ * Move a student to another teacher. The active plan follows them (saved
+ * as a new revision) and the move is appended to the student's transfers,
+ * in one batch so the student and plan never name different teachers.
+ * @param {string} schoolId 
+ * @param {Object} student - Current student document ({ id, teacherId, activePlanId })
+ * @param {string} toTeacherId 
+ * @param {string} effectiveDate - YYYY-MM-DD the move took effect (today or earlier)
+ * @param {Object} ctx - Audit context
+ */
+export async function transferStudent(schoolId, student, toTeacherId, effectiveDate, ctx) {
+  if (student.archived) throw new Error('Restore the student before transferring them');
+  if (!toTeacherId) throw new Error('Choose the teacher to transfer to');
+  if (toTeacherId === student.teacherId) throw new Error('Student is already with that teacher');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate || '')) throw new Error('Choose an effective date');
+  if (effectiveDate > getTodayKey()) throw new Error('Effective date cannot be in the future');
+  
+  const transfer = {
+    fromTeacherId: student.teacherId || null,
+    toTeacherId,
+    effectiveDate,
+    recordedBy: ctx.actedBy,
+    recordedAt: Timestamp.now()
+  };
+  
+  const plan = student.activePlanId ? await loadPlan(schoolId, student.activePlanId) : null;
+  const batch = writeBatch(db);
+  
+  batch.update(doc(db, 'schools', schoolId, 'students', student.id), {
+    teacherId: toTeacherId,
+    transfers: arrayUnion(transfer),
+    updatedAt: serverTimestamp(),
+    updatedBy: ctx.actedBy
+  });
+  if (plan && plan.teacherId !== toTeacherId) {
+    movePlanToTeacher(schoolId, plan, toTeacherId, ctx).forEach(write => write(batch));
+  }
+  
+  await batch.commit();
+  invalidateCache(`dashboard/${schoolId}`);
+}
+
+/**
+ * Archive a student who has left: their plan is deactivated and they drop
+ * off teacher and specials rosters (the specials index follows activePlanId)
+ * @param {string} schoolId 
+ * @param {Object} student - Current student document ({ id, activePlanId })
+ * @param {Object} ctx - Audit context
+ */
+export async function archiveStudent(schoolId, student, ctx) {
+  const batch = writeBatch(db);
+  
+  batch.update(doc(db, 'schools', schoolId, 'students', student.id), {
+    archived: true,
+    archivedAt: serverTimestamp(),
+    archivedBy: ctx.actedBy,
+    activePlanId: null,
+    archivedPlanId: student.activePlanId || null,
+    updatedAt: serverTimestamp(),
+    updatedBy: ctx.actedBy
+  });
+  if (student.activePlanId) {
+    batch.update(doc(db, 'schools', schoolId, 'plans', student.activePlanId), { active: false, updatedBy: ctx.actedBy });
+  }
+  
+  await batch.commit();
+  invalidateCache(`dashboard/${schoolId}`);
+}
+
+/**
+ * Bring an archived student back, reactivating the plan they had
+ * @param {string} schoolId 
+ * @param {Object} student - Archived student document ({ id, archivedPlanId })
+ * @param {Object} ctx - Audit context
+ */
+export async function restoreStudent(schoolId, student, ctx) {
+  const planId = student.archivedPlanId || null;
+  const plan = planId ? await loadPlan(schoolId, planId) : null;
+  const batch = writeBatch(db);
+  
+  batch.update(doc(db, 'schools', schoolId, 'students', student.id), {
+    archived: false,
+    archivedAt: deleteField(),
+    archivedBy: deleteField(),
+    archivedPlanId: deleteField(),
+    activePlanId: plan ? planId : null,
+    updatedAt: serverTimestamp(),
+    updatedBy: ctx.actedBy
+  });
+  if (plan) {
+    batch.update(doc(db, 'schools', schoolId, 'plans', planId), { active: true, updatedBy: ctx.actedBy });
+  }
+  
+  await batch.commit();
+  invalidateCache(`dashboard/${schoolId}`);
+}
+
+// ============================================================================
+// STUDENT ROSTER IMPORT
+// CSV columns: name, grade, teacher_email, parent_emails, sis_id. Students
+// are matched to existing docs by `sisId`, so re-importing a file updates
+// them instead of adding duplicates. For those students a blank teacher or
+// parent cell leaves the current value alone, and a new teacher is recorded
+// as a transfer the active plan follows (as transferStudent() does).
+// planRosterImport() only reads; the caller shows its result as a dry run
+// before commitRosterImport() writes.
+// ============================================================================
+
+export const ROSTER_COLUMNS = ['name', 'grade', 'teacher_email', 'parent_emails', 'sis_id'];
+
+// Commit writes in chunks comfortably under the 500-write batch limit
+const ROSTER_BATCH_SIZE = 400;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Student fields an import sets (and compares for updates)
+const ROSTER_FIELDS = ['name', 'grade', 'teacherId', 'parentEmails', 'sisId'];
+
+/**
+ * Normalize a grade: "K"/"kindergarten" to "K", "3" or "3rd" to "3rd"
+ * @param {string} value 
+ * @returns {string|null} null if not a grade K-12
+ */
+function normalizeGrade(value) {
+  const text = value.trim().toLowerCase();
+  if (text === 'k' || text === 'kg' || text === 'kindergarten') return 'K';
+  
+  const match = text.match(/^(\d{1,2})(st|nd|rd|th)?$/);
+  const grade = match ? Number(match[1]) : NaN;
+  if (!(grade >= 1 && grade <= 12)) return null;
+  
+  const suffix = grade === 1 ? 'st' : grade === 2 ? 'nd' : grade === 3 ? 'rd' : 'th';
+  return `${grade}${suffix}`;
+}
+
+/**
+ * Validate roster rows and work out what an import would change
+ * @param {string} schoolId 
+ * @param {Object[]} records - From parseCsvRecords(), each with a `line`
+ * @returns {Promise<Object>} { creates, updates, skips, errors }
+ *   creates: [{ line, data }], updates: [{ line, id, data, changes, transfer? }],
+ *   skips: [{ line, id, name }], errors: [{ line, messages }]. An update that
+ *   moves the student carries transfer: { fromTeacherId, toTeacherId, planId, plan }.
+ */
+export async function planRosterImport(schoolId, records) {
+  const [studentsSnap, staffSnap] = await Promise.all([
+    getDocs(collection(db, 'schools', schoolId, 'students')),
+    getDocs(collection(db, 'schools', schoolId, 'staff'))
+  ]);
+  
+  const studentsBySis = new Map();
+  for (const studentDoc of studentsSnap.docs) {
+    const sisId = studentDoc.data().sisId;
+    if (sisId) studentsBySis.set(sisId, { id: studentDoc.id, ...studentDoc.data() });
+  }
+  
+  const teachersByEmail = new Map();
+  for (const staffDoc of staffSnap.docs) {
+    const staff = staffDoc.data();
+    if (staff.email && (staff.roles || []).includes('teacher')) {
+      teachersByEmail.set(staff.email.toLowerCase(), staffDoc.id);
+    }
+  }
+  
+  const result = { creates: [], updates: [], skips: [], errors: [] };
+  const seenSis = new Set();
+  
+  for (const record of records) {
+    const messages = [];
+    const sisId = record.sis_id || '';
+    const name = record.name || '';
+    const grade = normalizeGrade(record.grade || '');
+    const teacherEmail = (record.teacher_email || '').toLowerCase();
+    const parentEmails = (record.parent_emails || '')
+      .split(/[;|]/)
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    
+    if (!sisId) messages.push('Missing SIS id');
+    else if (seenSis.has(sisId)) messages.push(`SIS id ${sisId} appears more than once in the file`);
+    if (!name) messages.push('Missing name');
+    if (!grade) messages.push(`Grade "${record.grade || ''}" is not K-12`);
+    if (teacherEmail && !teachersByEmail.has(teacherEmail)) {
+      messages.push(`No teacher with email ${teacherEmail}`);
+    }
+    const badEmails = parentEmails.filter(email => !EMAIL_PATTERN.test(email));
+    if (badEmails.length > 0) messages.push(`Invalid parent email: ${badEmails.join(', ')}`);
+    
+    seenSis.add(sisId);
+    
+    if (messages.length > 0) {
+      result.errors.push({ line: record.line, messages });
+      continue;
+    }
+    
+    const existing = studentsBySis.get(sisId);
+    const data = { name, grade, sisId };
+    if (teacherEmail || !existing) data.teacherId = teacherEmail ? teachersByEmail.get(teacherEmail) : null;
+    if (parentEmails.length > 0 || !existing) data.parentEmails = parentEmails;
+    
+    if (!existing) {
+      result.creates.push({ line: record.line, data });
+      continue;
+    }
+    
+    const moved = data.teacherId !== undefined && data.teacherId !== (existing.teacherId || null);
+    if (moved && existing.archived) {
+      result.errors.push({ line: record.line, messages: ['Restore the student before transferring them'] });
+      continue;
+    }
+    
+    const changes = ROSTER_FIELDS
+      .filter(field => data[field] !== undefined)
+      .filter(field => JSON.stringify(existing[field] ?? null) !== JSON.stringify(data[field]))
+      .map(field => ({ field, from: existing[field] ?? null, to: data[field] }));
+    
+    if (changes.length === 0) {
+      result.skips.push({ line: record.line, id: existing.id, name });
+      continue;
+    }
+    
+    const update = { line: record.line, id: existing.id, data, changes };
+    if (moved) {
+      update.transfer = {
+        fromTeacherId: existing.teacherId || null,
+        toTeacherId: data.teacherId,
+        planId: existing.activePlanId || null,
+        plan: null
+      };
+    }
+    result.updates.push(update);
+  }
+  
+  // The plans that follow transferred students, read together
+  const transfers = result.updates.filter(update => update.transfer?.planId).map(update => update.transfer);
+  const plans = await loadDocsByIds(collection(db, 'schools', schoolId, 'plans'), transfers.map(transfer => transfer.planId));
+  for (const transfer of transfers) {
+    const plan = plans.get(transfer.planId);
+    if (plan) transfer.plan = { id: transfer.planId, ...plan };
+  }
+  
+  return result;
+}
+
+/**
+ * Write the creates and updates from planRosterImport() in chunked batches.
+ * A transfer's student update, plan update and plan revision share a batch.
+ * @param {string} schoolId 
+ * @param {Object} plan - planRosterImport() result
+ * @param {Object} ctx - Audit context
+ * @returns {Promise<Object>} { created, updated }
+ */
+export async function commitRosterImport(schoolId, plan, ctx) {
+  const studentsRef = collection(db, 'schools', schoolId, 'students');
+  
+  // One group of writes per student, never split across batches
+  const groups = [
+    ...plan.creates.map(({ data }) => [batch => batch.set(doc(studentsRef), {
+      ...data,
+      activePlanId: null,
+      archived: false,
+      transfers: [],
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      updatedBy: ctx.actedBy
+    })]),
+    ...plan.updates.map(({ id, data, transfer }) => {
+      const writes = [batch => batch.update(doc(studentsRef, id), {
+        ...data,
+        ...(transfer ? { transfers: arrayUnion(rosterTransfer(transfer, ctx)) } : {}),
+        updatedAt: serverTimestamp(),
+        updatedBy: ctx.actedBy
+      })];
+      if (transfer?.plan && transfer.plan.teacherId !== transfer.toTeacherId) {
+        writes.push(...movePlanToTeacher(schoolId, transfer.plan, transfer.toTeacherId, ctx));
+      }
+      return writes;
+    })
+  ];
+  
+  let batch = writeBatch(db);
+  let batchSize = 0;
+  for (const writes of groups) {
+    if (batchSize + writes.length > ROSTER_BATCH_SIZE) {
+      await batch.commit();
+      batch = writeBatch(db);
+      batchSize = 0;
+    }
+    writes.forEach(write => write(batch));
+    batchSize += writes.length;
+  }
+  if (batchSize > 0) await batch.commit();
+  
+  invalidateCache(`dashboard/${schoolId}`);
+  
+  await audit(schoolId, {
+    ...ctx,
+    action: 'roster_import',
+    target: 'students',
+    details: {
+      created: plan.creates.length,
+      updated: plan.updates.length,
+      skipped: plan.skips.length,
+      rejected: plan.errors.length
+    }
+  });
+  
+  return { created: plan.creates.length, updated: plan.updates.length };
+}
+
+/**
+ * Transfers entry for a teacher change made by an import, effective today
+ * @param {Object} transfer - From planRosterImport()
+ * @param {Object} ctx - Audit context
+ * @returns {Object}
+ */
+function rosterTransfer({ fromTeacherId, toTeacherId }, ctx) {
+  return {
+    fromTeacherId,
+    toTeacherId,
+    effectiveDate: getTodayKey(),
+    recordedBy: ctx.actedBy,
+    recordedAt: Timestamp.now()
+  };
+}
+
+// ============================================================================
+// PARENT LINKS
+// Parents link their account to a student with a single-use code from the
+// school. Codes and links are written only by Cloud Functions
+// (createParentLinkCode, redeemParentLinkCode and the revoke functions);
+// admins and the achievement team read them here.
+// ============================================================================
+
+/**
+ * Link codes for a school that can still be redeemed
+ * @param {string} schoolId 
+ * @returns {Promise<Object[]>} [{ code, studentId, createdBy, expiresAt }], expiresAt
+ *   in milliseconds, soonest first
+ */
+export async function loadParentLinkCodes(schoolId) {
+  const snapshot = await getDocs(query(
+    collection(db, 'parent_link_codes'),
+    where('schoolId', '==', schoolId),
+    where('usedAt', '==', null),
+    where('revokedAt', '==', null)
+  ));
+  
+  const now = Date.now();
+  return snapshot.docs
+    .map(doc => ({ ...doc.data(), code: doc.id, expiresAt: doc.data().expiresAt.toMillis() }))
+    .filter(linkCode => linkCode.expiresAt > now)
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+/**
+ * A school's active parent-student links
+ * @param {string} schoolId 
+ * @returns {Promise<Object[]>} [{ id, parentUid, studentId, email, linkedAt }]
+ */
+export async function loadParentLinks(schoolId) {
+  const snapshot = await getDocs(query(
+    collection(db, 'schools', schoolId, 'parent_links'),
+    where('active', '==', true)
+  ));
+  
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+}
+
+// ============================================================================
+// CLOUD FUNCTIONS
+// ============================================================================
+
+/**
+ * Call an HTTPS callable Cloud Function
+ * @param {string} name - Exported function name in functions/index.js
+ * @param {Object} data - Request payload
+ * @returns {Promise<any>} The function's return value
+ */
+export async function callFunction(name, data = {}) {
+  const result = await httpsCallable(functions, name)(data);
+  return result.data;
+}
+
+// ============================================================================
+// DEMO SEEDING
+// ============================================================================
+
+/**
+ * Seed demo data for testing
+ * @param {string} schoolId 
+ * @param {Object} options - { seed: number, specialsMode: 'AE'|'MF' }
+ * @param {Object} ctx - Audit context
+ */
+export async function seedDemo(schoolId, options = {}, ctx) {
+  const { seed = 1337, specialsMode = 'AE' } = options;
+  
+  // Use deterministic seed for reproducible data
+  const rng = seededRandom(seed);
+  
+  const batch = writeBatch(db);
   
   // Create demo students
   const studentNames = [
@@ -444,11 +1745,11 @@ export async function seedDemo(schoolId, options = {}) {
       teacherId: teacherIds[Math.floor(rng() * teacherIds.length)],
       activePlanId: `demo_plan_${i + 1}`,
       parentEmails: [`parent${i + 1}@example.com`],
-      parentPortalId: `portal_${i + 1}`
+      updatedBy: ctx.actedBy
     });
     
     // Create plan for student
-    const schedule = specialsMode === 'AE' 
+    const baseSchedule = specialsMode === 'AE' 
       ? [
           { id: 'A1', label: 'A', am: true },
           { id: 'A2', label: 'A', am: false },
@@ -474,6 +1775,12 @@ export async function seedDemo(schoolId, options = {}) {
           { id: 'F2', label: 'F', am: false }
         ];
     
+    // Afternoon periods are specials, rotating subjects across students
+    const schedule = baseSchedule.map((period, index) => period.am 
+      ? period 
+      : { ...period, subject: SPECIALS_SUBJECTS[(i + index) % SPECIALS_SUBJECTS.length] }
+    );
+    
     const goals = [
       { id: 'goal_1', label: 'On Task', kind: 'stepper' },
       { id: 'goal_2', label: 'Following Directions', kind: 'stepper' },
@@ -499,15 +1806,14 @@ export async function seedDemo(schoolId, options = {}) {
         { id: 'btn_1', label: 'Great Job!', colorHex: '#4CAF50' },
         { id: 'btn_2', label: 'Needs Redirect', colorHex: '#FF9800' }
       ],
-      accommodations: []
+      accommodations: [],
+      updatedBy: ctx.actedBy
     });
     
     // Create sample week of data
-    const today = new Date();
+    const todayKey = getTodayKey();
     for (let dayOffset = -7; dayOffset < 0; dayOffset++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() + dayOffset);
-      const dayKey = getTodayKey(date);
+      const dayKey = addDays(todayKey, dayOffset);
       
       const matrix = {};
       for (const period of schedule) {
@@ -521,14 +1827,14 @@ export async function seedDemo(schoolId, options = {}) {
         }
       }
       
+      // Totals are filled in by the computeDayTotals trigger
       const dayRef = doc(db, 'schools', schoolId, 'plans', `demo_plan_${i + 1}`, 'days', dayKey);
       batch.set(dayRef, {
         matrix,
-        totals: { pct: 70 + Math.floor(rng() * 25), amPct: 75, pmPct: 80 },
         comments: {
           teacher: rng() > 0.5 ? 'Great progress today!' : ''
         },
-        incidents: []
+        lastModifiedBy: ctx.actedBy
       });
     }
   }
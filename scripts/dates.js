@@ -0,0 +1,159 @@
+// /scripts/dates.js
+// Date utilities. Day keys (YYYY-MM-DD) are always computed in the school's
+// timezone, never the browser's, so a device with the wrong clock zone
+// still files scores under the right day. Day keys are converted to Dates
+// at noon UTC, which lands on the same calendar date in every US zone.
+
+const DEFAULT_SETTINGS = {
+  timeZone: 'America/Detroit',
+  weekStart: 'sunday' // or 'monday'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Apply a school's timezone and week model (called by loadSchool)
+ * @param {Object} school - School document ({ timeZone?, weekStart? })
+ */
+export function configureDates(school) {
+  settings = {
+    timeZone: school?.timeZone || DEFAULT_SETTINGS.timeZone,
+    weekStart: school?.weekStart === 'monday' ? 'monday' : 'sunday'
+  };
+}
+
+/**
+ * Current timezone and week model
+ * @returns {Object} { timeZone, weekStart }
+ */
+export function getDateSettings() {
+  return { ...settings };
+}
+
+/**
+ * Get a date's key in YYYY-MM-DD format, in the school timezone
+ * @param {Date} date - Date object (defaults to now)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getTodayKey(date = new Date()) {
+  const fmt = new Intl.DateTimeFormat('en-CA', {
+    timeZone: settings.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  const parts = fmt.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+  return `${parts.year}-${parts.month}-${parts.day}`; // YYYY-MM-DD
+}
+
+/**
+ * Date for a day key, at noon UTC
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {Date}
+ */
+export function dayKeyToDate(dayKey) {
+  return new Date(`${dayKey}T12:00:00Z`);
+}
+
+/**
+ * The instants a school day starts and ends, in the school timezone
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {Object} { start, end } Dates; end is the next day's start
+ */
+export function getDayBounds(dayKey) {
+  return {
+    start: zonedMidnight(dayKey),
+    end: zonedMidnight(addDays(dayKey, 1))
+  };
+}
+
+function zonedMidnight(dayKey) {
+  // Offset of the school timezone from UTC around that midnight
+  const utcMidnight = new Date(`${dayKey}T00:00:00Z`);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(utcMidnight).reduce((acc, part) => {
+    acc[part.type] = Number(part.value);
+    return acc;
+  }, {});
+  const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return new Date(utcMidnight.getTime() - (zonedAsUtc - utcMidnight.getTime()));
+}
+
+/**
+ * Shift a day key by whole days
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} count - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(dayKey, count) {
+  return new Date(dayKeyToDate(dayKey).getTime() + count * MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Day of the week for a day key
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) - 6 (Saturday)
+ */
+export function getWeekday(dayKey) {
+  return dayKeyToDate(dayKey).getUTCDay();
+}
+
+/**
+ * Format a day key for display without timezone drift
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatDayKey(dayKey, options = { month: 'short', day: 'numeric' }) {
+  return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' })
+    .format(dayKeyToDate(dayKey));
+}
+
+/**
+ * ISO 8601 week key for a day: the week belongs to the year of its Thursday
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {string} YYYY-Www
+ */
+export function getIsoWeekKey(dayKey) {
+  const mondayOffset = (getWeekday(dayKey) + 6) % 7; // Monday = 0
+  const thursday = dayKeyToDate(addDays(dayKey, 3 - mondayOffset));
+  const year = thursday.getUTCFullYear();
+  const dayOfYear = Math.round((thursday - Date.UTC(year, 0, 1, 12)) / MS_PER_DAY);
+  const week = Math.floor(dayOfYear / 7) + 1;
+
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get the school week containing a date
+ * Sunday-start weeks take the ISO week of their Monday
+ * @param {Date|string} date - Date or YYYY-MM-DD key
+ * @returns {Object} { startKey, endKey, days, key }
+ */
+export function getWeek(date = new Date()) {
+  const dayKey = typeof date === 'string' ? date : getTodayKey(date);
+  const firstWeekday = settings.weekStart === 'monday' ? 1 : 0;
+  const startKey = addDays(dayKey, -((getWeekday(dayKey) - firstWeekday + 7) % 7));
+  const days = Array.from({ length: 7 }, (_, i) => addDays(startKey, i));
+
+  return {
+    startKey,
+    endKey: days[6],
+    days,
+    key: getIsoWeekKey(addDays(startKey, firstWeekday === 1 ? 0 : 1))
+  };
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+// /scripts/outbox.js
+// Durable write queue backed by IndexedDB. Writes are stored before they are
+// sent so a dropped connection never loses a tap; entries replay in order.
+// Each entry belongs to the user who queued it and replays only while that
+// user is signed in, so a shared device never sends one user's taps under
+// another's account.
+
+const DB_NAME = 'bmw-outbox';
+const DB_VERSION = 1;
+const STORE = 'writes';
+const RETRY_INTERVAL_MS = 30000;
+const WRITE_TIMEOUT_MS = 15000;
+
+// Firestore error codes that will never succeed on retry
+const PERMANENT_ERRORS = [
+  'permission-denied',
+  'not-found',
+  'invalid-argument',
+  'failed-precondition'
+];
+
+const handlers = {};
+let dbPromise = null;
+let flushPromise = null;
+let retryTimer = null;
+let pendingCount = 0;
+let started = false;
+let owner = null; // uid whose entries are counted and replayed (see startOutbox)
+
+/**
+ * Open (or create) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the writes store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Firestore holds writes in memory while offline instead of rejecting them,
+ * so give up waiting after a while and treat the entry as still pending.
+ * Handlers must therefore be idempotent.
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+function withTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => {
+      const err = new Error('Write timed out');
+      err.code = 'deadline-exceeded';
+      reject(err);
+    }, WRITE_TIMEOUT_MS))
+  ]);
+}
+
+/**
+ * User who queued an entry. Entries queued before the queue was keyed by
+ * user carry it only in their audit context.
+ * @param {Object} entry
+ * @returns {string|null}
+ */
+function entryOwner(entry) {
+  return entry.uid ?? entry.payload?.ctx?.actedBy ?? null;
+}
+
+/**
+ * The current user's entries, oldest first
+ * @returns {Promise<Object[]>}
+ */
+async function loadOwnEntries() {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.filter(entry => entryOwner(entry) === owner);
+}
+
+/**
+ * Re-count entries and notify listeners
+ */
+async function refreshCount() {
+  pendingCount = (await loadOwnEntries()).length;
+
+  window.dispatchEvent(new CustomEvent('outbox-change', {
+    detail: { pending: pendingCount }
+  }));
+
+  if (pendingCount > 0 && !retryTimer) {
+    retryTimer = setInterval(() => flushOutbox(), RETRY_INTERVAL_MS);
+  } else if (pendingCount === 0 && retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+/**
+ * Register the function that performs a queued write of a given type
+ * @param {string} type - Entry type, e.g. 'matrix_cell'
+ * @param {Function} handler - async (payload) => void
+ */
+export function registerOutboxHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Persist a write and try to send everything queued
+ * @param {string} type - Registered entry type
+ * @param {Object} payload - Structured-cloneable arguments for the handler
+ * @returns {Promise<boolean>} true if the queue fully drained
+ */
+export async function enqueueWrite(type, payload) {
+  await withStore('readwrite', store => store.add({
+    type,
+    payload,
+    uid: owner ?? payload?.ctx?.actedBy ?? null,
+    queuedAt: Date.now()
+  }));
+  await refreshCount();
+
+  return flushOutbox();
+}
+
+/**
+ * Replay queued writes in order, stopping at the first transient failure
+ * @returns {Promise<boolean>} true if nothing is left pending
+ */
+export function flushOutbox() {
+  if (!started) return Promise.resolve(pendingCount === 0);
+  if (flushPromise) return flushPromise;
+  if (!navigator.onLine) return Promise.resolve(pendingCount === 0);
+
+  flushPromise = (async () => {
+    let drained = false;
+    try {
+      drained = await replayEntries();
+    } finally {
+      await refreshCount();
+      flushPromise = null;
+    }
+
+    // Entries queued while this flush ran were not in its snapshot
+    if (drained && pendingCount > 0) return flushOutbox();
+    return drained;
+  })();
+
+  return flushPromise;
+}
+
+/**
+ * Send the current user's entries in order
+ * @returns {Promise<boolean>} false if a transient failure stopped the replay
+ */
+async function replayEntries() {
+  const entries = await loadOwnEntries();
+
+  for (const entry of entries) {
+    const handler = handlers[entry.type];
+
+    if (handler) {
+      try {
+        await withTimeout(handler(entry.payload));
+      } catch (err) {
+        // Callable errors are prefixed 'functions/'
+        const code = err?.code?.replace(/^functions\//, '');
+        if (!PERMANENT_ERRORS.includes(code)) {
+          // Offline or server hiccup - keep this and everything after it
+          return false;
+        }
+        console.error(`[Outbox] Dropping ${entry.type} write:`, code);
+        window.dispatchEvent(new CustomEvent('outbox-rejected', {
+          detail: { type: entry.type, payload: entry.payload, code }
+        }));
+      }
+    } else {
+      console.warn(`[Outbox] No handler for ${entry.type}, dropping entry`);
+    }
+
+    await withStore('readwrite', store => store.delete(entry.seq));
+  }
+
+  return true;
+}
+
+/**
+ * Begin replaying writes. Call once the user is signed in so queued entries
+ * are not rejected for lack of credentials.
+ * @param {string} uid - Signed-in user; only the entries they queued replay
+ * @returns {Promise<boolean>}
+ */
+export async function startOutbox(uid) {
+  if (uid !== owner) {
+    owner = uid;
+    await refreshCount();
+  }
+  started = true;
+  return flushOutbox();
+}
+
+/**
+ * Stop replaying (the user is signing out). Their entries stay queued and
+ * replay the next time they sign in on this device.
+ */
+export function stopOutbox() {
+  started = false;
+  owner = null;
+  refreshCount().catch(() => {});
+}
+
+/**
+ * Drop the current user's queued writes
+ * @returns {Promise<number>} How many were discarded
+ */
+export async function discardPendingWrites() {
+  const entries = await loadOwnEntries();
+  for (const entry of entries) {
+    await withStore('readwrite', store => store.delete(entry.seq));
+  }
+  if (entries.length > 0) {
+    console.warn(`[Outbox] Discarded ${entries.length} unsent writes`);
+  }
+  await refreshCount();
+  return entries.length;
+}
+
+/**
+ * Number of writes waiting to be sent
+ * @returns {number}
+ */
+export function getPendingCount() {
+  return pendingCount;
+}
+
+// Replay as soon as the browser reports connectivity again
+window.addEventListener('online', () => flushOutbox());
+
+// Pick up anything left over from a previous session
+refreshCount().catch(() => {
+  console.error('[Outbox] IndexedDB unavailable');
+});
\ No newline at end of file
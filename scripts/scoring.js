@@ -0,0 +1,331 @@
+// /scripts/scoring.js
+// Day scoring shared by the browser and Cloud Functions.
+// Keep this file free of imports and DOM access: functions/index.js loads a
+// copy of it (see the functions predeploy step in firebase.json).
+
+// Share of a period's points needed to earn it when the plan sets none
+export const DEFAULT_PERIOD_CRITERION = 80;
+
+// Goal kinds shared by the plan builder, scoring inputs and totals.
+//   input          - control rendered by renderGoalInput() in components.js
+//   defaultMax     - points possible unless the goal sets its own `max`
+//   configurableMax - whether the plan builder lets the goal set `max`
+//   higherIsBetter - false means each unit of the value costs a point
+export const GOAL_KINDS = {
+  stepper: {
+    label: 'Stepper (0-2)',
+    input: 'stepper',
+    defaultMax: 2,
+    configurableMax: false,
+    higherIsBetter: true
+  },
+  scale: {
+    label: 'Rating scale',
+    input: 'stepper',
+    defaultMax: 5,
+    configurableMax: true,
+    higherIsBetter: true
+  },
+  checkbox: {
+    label: 'Checkbox',
+    input: 'check',
+    defaultMax: 1,
+    configurableMax: false,
+    higherIsBetter: true
+  },
+  frequency: {
+    label: 'Frequency count',
+    input: 'tally',
+    defaultMax: 5,
+    configurableMax: true,
+    higherIsBetter: false
+  },
+  duration: {
+    label: 'Duration (minutes)',
+    input: 'minutes',
+    defaultMax: 30,
+    configurableMax: true,
+    higherIsBetter: true
+  }
+};
+
+/**
+ * Look up the kind definition for a goal
+ * @param {Object} goal - { kind }
+ * @returns {Object|null} Entry from GOAL_KINDS
+ */
+export function getGoalKind(goal) {
+  return GOAL_KINDS[goal?.kind] || null;
+}
+
+/**
+ * Points possible for a goal in one period
+ * @param {Object} goal - { kind, max? }
+ * @returns {number}
+ */
+export function getGoalMax(goal) {
+  const kind = getGoalKind(goal);
+  if (!kind) return 0;
+  return kind.configurableMax && goal.max > 0 ? goal.max : kind.defaultMax;
+}
+
+/**
+ * Relative weight of a goal in day and period totals (default 1)
+ * @param {Object} goal - { weight? }
+ * @returns {number}
+ */
+export function getGoalWeight(goal) {
+  return goal?.weight > 0 ? goal.weight : 1;
+}
+
+/**
+ * Whether a plan is scored period by period (Period, PeriodAMPM)
+ * @param {Object} plan - { planType }
+ * @returns {boolean}
+ */
+export function isPeriodPlan(plan) {
+  return (plan?.planType || '').startsWith('Period');
+}
+
+/**
+ * Convert points to a whole percentage
+ * @param {number} points
+ * @param {number} possible
+ * @returns {number} 0-100
+ */
+export function toPct(points, possible) {
+  return possible > 0 ? Math.round((points / possible) * 100) : 0;
+}
+
+/**
+ * Score a single goal value. Values are clamped to 0..max; for kinds where
+ * lower is better (frequency) each unit counts against the max instead.
+ * @param {Object} goal - { id, label, kind, max? }
+ * @param {number|boolean|null} value
+ * @returns {Object|null} { points, possible } or null when unscored
+ */
+export function scoreGoal(goal, value) {
+  if (value === undefined || value === null) return null;
+
+  const kind = getGoalKind(goal);
+  if (!kind) return null;
+
+  const max = getGoalMax(goal);
+  const numeric = kind.input === 'check' ? (value ? 1 : 0) : Number(value);
+  if (Number.isNaN(numeric)) return null;
+
+  const clamped = Math.min(Math.max(numeric, 0), max);
+
+  return {
+    points: kind.higherIsBetter ? clamped : max - clamped,
+    possible: max
+  };
+}
+
+/**
+ * Score one period against the plan's period criterion
+ * @param {Object} plan - { goals, periodCriterion }
+ * @param {Object} periodData - goalId -> value
+ * @returns {Object|null} { pct, passed } or null when nothing is scored yet
+ */
+export function scorePeriod(plan, periodData) {
+  let points = 0;
+  let possible = 0;
+
+  for (const goal of (plan.goals || [])) {
+    const score = scoreGoal(goal, periodData?.[goal.id]);
+    if (!score) continue;
+    const weight = getGoalWeight(goal);
+    points += score.points * weight;
+    possible += score.possible * weight;
+  }
+
+  if (possible === 0) return null;
+
+  const pct = toPct(points, possible);
+  const criterion = plan.periodCriterion ?? DEFAULT_PERIOD_CRITERION;
+
+  return { pct, passed: pct >= criterion };
+}
+
+/**
+ * Compute day totals for a plan from its matrix
+ * Only scored cells count toward the possible points, and each goal's
+ * points are multiplied by its weight. `byGoal` holds each goal's own
+ * (unweighted) percentage. Period plans also get per-period results and
+ * periods earned out of periods scheduled.
+ * @param {Object} plan - { planType, schedule, goals, periodCriterion }
+ * @param {Object} dayData - Day document ({ matrix })
+ * @returns {Object} { pct, byGoal, amPct?, pmPct?, periods?, periodsEarned?, periodsPossible?, ... }
+ */
+export function computeDayTotals(plan, dayData) {
+  const matrix = dayData?.matrix || {};
+
+  let totalPoints = 0;
+  let totalPossible = 0;
+  let amPoints = 0;
+  let amPossible = 0;
+  let pmPoints = 0;
+  let pmPossible = 0;
+  const goalScores = {};
+
+  for (const period of (plan.schedule || [])) {
+    const periodData = matrix[period.id] || {};
+
+    for (const goal of (plan.goals || [])) {
+      const score = scoreGoal(goal, periodData[goal.id]);
+      if (!score) continue;
+
+      const goalScore = goalScores[goal.id] || (goalScores[goal.id] = { points: 0, possible: 0 });
+      goalScore.points += score.points;
+      goalScore.possible += score.possible;
+
+      const weight = getGoalWeight(goal);
+      const points = score.points * weight;
+      const possible = score.possible * weight;
+
+      totalPoints += points;
+      totalPossible += possible;
+
+      if (period.am) {
+        amPoints += points;
+        amPossible += possible;
+      } else {
+        pmPoints += points;
+        pmPossible += possible;
+      }
+    }
+  }
+
+  const byGoal = {};
+  for (const [goalId, goalScore] of Object.entries(goalScores)) {
+    byGoal[goalId] = toPct(goalScore.points, goalScore.possible);
+  }
+
+  const totals = {
+    pct: toPct(totalPoints, totalPossible),
+    byGoal
+  };
+
+  const splitAmPm = (plan.planType || '').includes('AMPM');
+
+  if (splitAmPm) {
+    totals.amPct = toPct(amPoints, amPossible);
+    totals.pmPct = toPct(pmPoints, pmPossible);
+  }
+
+  if (isPeriodPlan(plan)) {
+    Object.assign(totals, computePeriodTotals(plan, matrix, splitAmPm));
+  }
+
+  return totals;
+}
+
+/**
+ * Per-period pass/fail and periods earned for a Period plan. Every period
+ * on the schedule is possible, so a period left unscored is not earned.
+ * @param {Object} plan
+ * @param {Object} matrix - periodId -> goalId -> value
+ * @param {boolean} splitAmPm - Also count AM and PM periods separately
+ * @returns {Object} { periods, periodsEarned, periodsPossible, am/pm counts? }
+ */
+function computePeriodTotals(plan, matrix, splitAmPm) {
+  const result = {
+    periods: {},
+    periodsEarned: 0,
+    periodsPossible: 0
+  };
+
+  if (splitAmPm) {
+    Object.assign(result, {
+      amPeriodsEarned: 0,
+      amPeriodsPossible: 0,
+      pmPeriodsEarned: 0,
+      pmPeriodsPossible: 0
+    });
+  }
+
+  for (const period of (plan.schedule || [])) {
+    const half = period.am ? 'am' : 'pm';
+    result.periodsPossible++;
+    if (splitAmPm) result[`${half}PeriodsPossible`]++;
+
+    const score = scorePeriod(plan, matrix[period.id]);
+    if (!score) continue;
+
+    result.periods[period.id] = score;
+    if (score.passed) {
+      result.periodsEarned++;
+      if (splitAmPm) result[`${half}PeriodsEarned`]++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * What a threshold requires in the plan's own unit: periods earned for
+ * Period plans, percentage for others. Thresholds set before the plan type
+ * changed only have the other unit, so convert it using the schedule.
+ * @param {Object} plan
+ * @param {Object} threshold - { pct?, periods?, label }
+ * @returns {number}
+ */
+export function getThresholdTarget(plan, threshold) {
+  const scheduled = (plan.schedule || []).length;
+
+  if (isPeriodPlan(plan)) {
+    if (typeof threshold.periods === 'number') return threshold.periods;
+    return typeof threshold.pct === 'number' ? Math.ceil(threshold.pct / 100 * scheduled) : 0;
+  }
+  if (typeof threshold.pct === 'number') return threshold.pct;
+  return typeof threshold.periods === 'number' ? Math.min(100, toPct(threshold.periods, scheduled)) : 0;
+}
+
+/**
+ * Whether an incentive threshold is met. Period plans are judged on
+ * periods earned, others on percentage (see getThresholdTarget).
+ * @param {Object} plan
+ * @param {Object} totals - Day totals, or averages shaped the same way
+ * @param {Object} threshold
+ * @returns {boolean}
+ */
+export function isIncentiveAchieved(plan, totals, threshold) {
+  const value = isPeriodPlan(plan) ? totals?.periodsEarned : totals?.pct;
+  return (value ?? 0) >= getThresholdTarget(plan, threshold);
+}
+
+/**
+ * Short label for what a threshold requires, e.g. "85%" or "6 periods"
+ * @param {Object} plan
+ * @param {Object} threshold
+ * @returns {string}
+ */
+export function formatThresholdTarget(plan, threshold) {
+  const target = getThresholdTarget(plan, threshold);
+  if (isPeriodPlan(plan)) {
+    return `${target} ${target === 1 ? 'period' : 'periods'}`;
+  }
+  return `${target}%`;
+}
+
+/**
+ * Compare two totals objects regardless of key order
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function totalsEqual(a, b) {
+  return stableStringify(a ?? null) === stableStringify(b ?? null);
+}
+
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
\ No newline at end of file
@@ -0,0 +1,410 @@
+// tests/firestore.rules.test.js
+// Firestore security rules, checked against the emulator. Run with
+// `npm test` from this folder (starts the emulator via firebase-tools).
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+
+const SCHOOL = 'sch1';
+const DAY = '2026-10-19';
+
+let testEnv;
+
+/**
+ * Token claims as issued by syncUserClaims for one school
+ * @param {string[]} roles
+ * @param {Object} extra - Additional token fields (email, imitation, ...)
+ * @returns {Object}
+ */
+function claims(roles, extra = {}) {
+  return { schoolId: SCHOOL, roles, schools: { [SCHOOL]: roles }, ...extra };
+}
+
+const USERS = {
+  admin1: claims(['admin'], { email: 'admin@example.org', email_verified: true }),
+  achieve1: claims(['achievement'], { email: 'achieve@example.org', email_verified: true }),
+  teacher1: claims(['teacher'], { email: 'teacher1@example.org', email_verified: true }),
+  teacher2: claims(['teacher'], { email: 'teacher2@example.org', email_verified: true }),
+  specials1: claims(['specials'], { email: 'specials@example.org', email_verified: true }),
+  parent1: claims(['parent'], { email: 'parent@example.org', email_verified: true }),
+  // Linked with a code; signed up with an address the school does not know
+  parent2: claims(['parent'], { email: 'other@example.net', email_verified: false })
+};
+
+/**
+ * Firestore client signed in as one of USERS
+ * @param {string} uid
+ * @param {Object} overrides - Token fields to replace
+ */
+function as(uid, overrides = {}) {
+  return testEnv.authenticatedContext(uid, { ...USERS[uid], ...overrides }).firestore();
+}
+
+function schoolPath(...segments) {
+  return ['schools', SCHOOL, ...segments].join('/');
+}
+
+/**
+ * An admin imitating another user
+ * @param {string} targetUid
+ * @param {string} scope - 'read' or 'write'
+ */
+function imitating(targetUid, scope) {
+  return as('admin1', {
+    imitation: {
+      sid: 'session1',
+      targetUid,
+      roles: USERS[targetUid].roles,
+      scope,
+      exp: Math.floor(Date.now() / 1000) + 3600
+    }
+  });
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-bmw',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const seed = (path, data) => setDoc(doc(db, path), data);
+
+    await seed(`schools/${SCHOOL}`, { name: 'Test School', timeZone: 'America/Detroit' });
+    for (const [uid, token] of Object.entries(USERS)) {
+      await seed(schoolPath('staff', uid), { email: token.email, roles: token.roles, active: true });
+    }
+    // specials1 teaches Art only; plan1's p6 is a Music period
+    await seed(schoolPath('staff', 'specials1'), {
+      email: USERS.specials1.email, roles: USERS.specials1.roles, subjects: ['Art'], active: true
+    });
+
+    await seed(schoolPath('students', 'stu1'), {
+      name: 'Linked Student', teacherId: 'teacher1', activePlanId: 'plan1', parentEmails: ['parent@example.org']
+    });
+    await seed(schoolPath('students', 'stu2'), {
+      name: 'Other Student', teacherId: 'teacher2', activePlanId: 'plan2', parentEmails: ['someone@example.org'],
+      parentUids: ['parent2']
+    });
+
+    await seed(schoolPath('plans', 'plan1'), {
+      studentId: 'stu1', teacherId: 'teacher1', active: true, specialsPeriodIds: ['p5', 'p6'],
+      specialsPeriodsBySubject: { Art: ['p5'], Music: ['p6'] }
+    });
+    await seed(schoolPath('plans', 'plan2'), {
+      studentId: 'stu2', teacherId: 'teacher2', active: true, specialsPeriodIds: []
+    });
+
+    await seed(schoolPath('plans', 'plan1', 'days', DAY), {
+      matrix: { p1: { g1: 2 } }, totals: { earned: 2 }
+    });
+    await seed(schoolPath('plans', 'plan2', 'days', DAY), { matrix: { p1: { g1: 1 } } });
+    await seed(schoolPath('plans', 'plan1', 'days', DAY, 'incidents', 'inc1'), {
+      label: 'Elopement', voided: false, loggedBy: 'teacher1'
+    });
+    await seed(schoolPath('plans', 'plan1', 'days', DAY, 'incidents', 'inc2'), {
+      label: 'Refusal', voided: false, loggedBy: 'specials1'
+    });
+
+    await seed(schoolPath('accommodations', 'stu1'), { items: ['Extended time'] });
+    await seed(schoolPath('accommodations', 'stu2'), { items: ['Preferential seating'] });
+    await seed(schoolPath('audit_logs', 'log1'), { action: 'plan_save' });
+    await seed(schoolPath('imitation_sessions', 'admin1'), { active: true, sessionId: 'session1' });
+    await seed(schoolPath('parent_links', 'parent2_stu2'), { parentUid: 'parent2', studentId: 'stu2', active: true });
+    await seed('parent_link_codes/K7MQ2ZTA', { schoolId: SCHOOL, studentId: 'stu1', usedAt: null, revokedAt: null });
+  });
+});
+
+describe('students', () => {
+  test('admin and achievement write students; teachers and specials do not', async () => {
+    await assertSucceeds(updateDoc(doc(as('admin1'), schoolPath('students', 'stu1')), { name: 'A', updatedBy: 'admin1' }));
+    await assertSucceeds(updateDoc(doc(as('achieve1'), schoolPath('students', 'stu1')), { name: 'B', updatedBy: 'achieve1' }));
+    await assertFails(updateDoc(doc(as('teacher1'), schoolPath('students', 'stu1')), { name: 'C', updatedBy: 'teacher1' }));
+    await assertFails(updateDoc(doc(as('specials1'), schoolPath('students', 'stu2')), { name: 'D', updatedBy: 'specials1' }));
+  });
+
+  test('student writes name the writer for the audit log', async () => {
+    await assertFails(updateDoc(doc(as('admin1'), schoolPath('students', 'stu1')), { name: 'E' }));
+    await assertFails(updateDoc(doc(as('admin1'), schoolPath('students', 'stu1')), { name: 'F', updatedBy: 'achieve1' }));
+  });
+
+  test('staff read every student', async () => {
+    await assertSucceeds(getDoc(doc(as('teacher1'), schoolPath('students', 'stu2'))));
+    await assertSucceeds(getDoc(doc(as('specials1'), schoolPath('students', 'stu1'))));
+  });
+
+  test('parents read only students linked to their verified email', async () => {
+    await assertSucceeds(getDoc(doc(as('parent1'), schoolPath('students', 'stu1'))));
+    await assertFails(getDoc(doc(as('parent1'), schoolPath('students', 'stu2'))));
+    await assertFails(getDoc(doc(as('parent1', { email_verified: false }), schoolPath('students', 'stu1'))));
+  });
+
+  test('parents can query their students but not the whole roster', async () => {
+    const students = collection(as('parent1'), schoolPath('students'));
+    await assertSucceeds(getDocs(query(students, where('parentEmails', 'array-contains', 'parent@example.org'))));
+    await assertFails(getDocs(students));
+  });
+
+  test('parents linked by code read their student whatever their email', async () => {
+    const db = as('parent2');
+    await assertSucceeds(getDoc(doc(db, schoolPath('students', 'stu2'))));
+    await assertSucceeds(getDoc(doc(db, schoolPath('plans', 'plan2'))));
+    await assertSucceeds(getDoc(doc(db, schoolPath('accommodations', 'stu2'))));
+    await assertFails(getDoc(doc(db, schoolPath('students', 'stu1'))));
+    
+    const students = collection(db, schoolPath('students'));
+    await assertSucceeds(getDocs(query(students, where('parentUids', 'array-contains', 'parent2'))));
+  });
+
+  test('students are archived, never deleted', async () => {
+    await assertFails(deleteDoc(doc(as('admin1'), schoolPath('students', 'stu1'))));
+    await assertFails(deleteDoc(doc(as('achieve1'), schoolPath('students', 'stu1'))));
+  });
+
+  test('another school sees nothing', async () => {
+    const outsider = testEnv.authenticatedContext('outsider', {
+      schoolId: 'sch2', roles: ['admin'], schools: { sch2: ['admin'] }
+    }).firestore();
+    await assertFails(getDoc(doc(outsider, schoolPath('students', 'stu1'))));
+  });
+});
+
+describe('accommodations', () => {
+  test('parents read only their own student\'s accommodations', async () => {
+    await assertSucceeds(getDoc(doc(as('parent1'), schoolPath('accommodations', 'stu1'))));
+    await assertFails(getDoc(doc(as('parent1'), schoolPath('accommodations', 'stu2'))));
+  });
+
+  test('only plan managers write accommodations', async () => {
+    await assertSucceeds(setDoc(doc(as('achieve1'), schoolPath('accommodations', 'stu1')), { items: [] }));
+    await assertFails(setDoc(doc(as('teacher1'), schoolPath('accommodations', 'stu1')), { items: [] }));
+  });
+});
+
+describe('plans', () => {
+  test('parents read only their student\'s plan and days', async () => {
+    const db = as('parent1');
+    await assertSucceeds(getDoc(doc(db, schoolPath('plans', 'plan1'))));
+    await assertSucceeds(getDoc(doc(db, schoolPath('plans', 'plan1', 'days', DAY))));
+    await assertFails(getDoc(doc(db, schoolPath('plans', 'plan2'))));
+    await assertFails(getDoc(doc(db, schoolPath('plans', 'plan2', 'days', DAY))));
+  });
+
+  test('teachers cannot edit plans', async () => {
+    await assertFails(updateDoc(doc(as('teacher1'), schoolPath('plans', 'plan1')), { teacherId: 'teacher2', updatedBy: 'teacher1' }));
+  });
+
+  test('plan writes name the writer for the audit log', async () => {
+    const planRef = doc(as('achieve1'), schoolPath('plans', 'plan1'));
+    await assertSucceeds(updateDoc(planRef, { teacherId: 'teacher2', updatedBy: 'achieve1' }));
+    await assertFails(updateDoc(planRef, { teacherId: 'teacher1', updatedBy: 'admin1' }));
+  });
+
+  test('plans are never deleted', async () => {
+    await assertFails(deleteDoc(doc(as('admin1'), schoolPath('plans', 'plan1'))));
+    await assertFails(deleteDoc(doc(as('achieve1'), schoolPath('plans', 'plan1'))));
+  });
+});
+
+describe('days', () => {
+  const cell = (uid, periodId, value = 2) => ({
+    matrix: { [periodId]: { g1: value } },
+    lastModified: new Date(),
+    lastModifiedBy: uid
+  });
+
+  test('homeroom teachers score their own students only', async () => {
+    await assertSucceeds(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', DAY)), cell('teacher1', 'p2'), { merge: true }));
+    await assertFails(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan2', 'days', DAY)), cell('teacher1', 'p2'), { merge: true }));
+    await assertSucceeds(setDoc(doc(as('teacher2'), schoolPath('plans', 'plan2', 'days', DAY)), cell('teacher2', 'p2'), { merge: true }));
+  });
+
+  test('a teacher can start a new day for their student', async () => {
+    await assertSucceeds(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', '2026-10-20')), cell('teacher1', 'p1')));
+  });
+
+  test('scoring writes name the writer for the audit log', async () => {
+    const dayRef = doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', DAY));
+    await assertFails(setDoc(dayRef, { matrix: { p3: { g1: 1 } } }, { merge: true }));
+    await assertFails(setDoc(dayRef, cell('teacher2', 'p3'), { merge: true }));
+  });
+
+  test('nobody writes server-computed totals', async () => {
+    await assertFails(updateDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', DAY)), { totals: { earned: 99 } }));
+    await assertFails(updateDoc(doc(as('admin1'), schoolPath('plans', 'plan1', 'days', DAY)), { totals: { earned: 99 } }));
+    await assertFails(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', '2026-10-20')), { totals: {} }));
+  });
+
+  test('the plan version a day is scored against is set by the server only', async () => {
+    await assertFails(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', DAY)), { ...cell('teacher1', 'p2'), planVersion: 1 }, { merge: true }));
+    await assertFails(setDoc(doc(as('specials1'), schoolPath('plans', 'plan1', 'days', DAY)), { ...cell('specials1', 'p5'), planVersion: 1 }, { merge: true }));
+    await assertFails(setDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', '2026-10-20')), { ...cell('teacher1', 'p1'), planVersion: 1 }));
+  });
+
+  test('specials staff score only the plan\'s specials periods', async () => {
+    const db = as('specials1');
+    await assertSucceeds(setDoc(doc(db, schoolPath('plans', 'plan1', 'days', DAY)), cell('specials1', 'p5'), { merge: true }));
+    await assertFails(setDoc(doc(db, schoolPath('plans', 'plan1', 'days', DAY)), cell('specials1', 'p1'), { merge: true }));
+    await assertFails(setDoc(doc(db, schoolPath('plans', 'plan2', 'days', DAY)), cell('specials1', 'p5'), { merge: true }));
+    await assertSucceeds(setDoc(doc(db, schoolPath('plans', 'plan1', 'days', '2026-10-20')), cell('specials1', 'p5')));
+  });
+
+  test('specials staff write only the specials comments', async () => {
+    const dayRef = doc(as('specials1'), schoolPath('plans', 'plan1', 'days', DAY));
+    await assertSucceeds(setDoc(dayRef, { comments: { specials: { Art: 'Great day' } }, lastModifiedBy: 'specials1' }, { merge: true }));
+    await assertFails(setDoc(dayRef, { comments: { teacher: 'Overwritten' }, lastModifiedBy: 'specials1' }, { merge: true }));
+  });
+
+  test('specials staff score and comment only for their own subjects', async () => {
+    const dayRef = doc(as('specials1'), schoolPath('plans', 'plan1', 'days', DAY));
+    await assertFails(setDoc(dayRef, cell('specials1', 'p6'), { merge: true }));
+    await assertFails(setDoc(dayRef, { comments: { specials: { Music: 'Overwritten' } }, lastModifiedBy: 'specials1' }, { merge: true }));
+  });
+
+  test('specials periods without a subject are open to every subject', async () => {
+    await testEnv.withSecurityRulesDisabled(context => updateDoc(
+      doc(context.firestore(), schoolPath('plans', 'plan2')),
+      { specialsPeriodIds: ['p7'], specialsPeriodsBySubject: { any: ['p7'] } }
+    ));
+    await assertSucceeds(setDoc(doc(as('specials1'), schoolPath('plans', 'plan2', 'days', DAY)), cell('specials1', 'p7'), { merge: true }));
+  });
+
+  test('parents cannot write days', async () => {
+    await assertFails(setDoc(doc(as('parent1'), schoolPath('plans', 'plan1', 'days', DAY)), cell('parent1', 'p1'), { merge: true }));
+  });
+
+  test('nobody deletes a day of scores', async () => {
+    await assertFails(deleteDoc(doc(as('teacher1'), schoolPath('plans', 'plan1', 'days', DAY))));
+    await assertFails(deleteDoc(doc(as('admin1'), schoolPath('plans', 'plan1', 'days', DAY))));
+  });
+});
+
+describe('incidents', () => {
+  const incidents = (planId) => schoolPath('plans', planId, 'days', DAY, 'incidents');
+  const incident = (loggedBy) => ({ label: 'Refusal', voided: false, loggedBy });
+
+  test('homeroom teachers log incidents for their students as themselves', async () => {
+    const db = as('teacher1');
+    await assertSucceeds(setDoc(doc(db, incidents('plan1'), 'new1'), incident('teacher1')));
+    await assertFails(setDoc(doc(db, incidents('plan1'), 'new2'), incident('teacher2')));
+    await assertFails(setDoc(doc(db, incidents('plan2'), 'new3'), incident('teacher1')));
+  });
+
+  test('specials staff log incidents only on plans with specials periods', async () => {
+    const db = as('specials1');
+    await assertSucceeds(setDoc(doc(db, incidents('plan1'), 'new1'), incident('specials1')));
+    await assertFails(setDoc(doc(db, incidents('plan2'), 'new2'), incident('specials1')));
+  });
+
+  test('specials staff edit only their own incidents', async () => {
+    const db = as('specials1');
+    await assertSucceeds(updateDoc(doc(db, incidents('plan1'), 'inc2'), { note: 'Calmed down', editedBy: 'specials1' }));
+    await assertFails(updateDoc(doc(db, incidents('plan1'), 'inc1'), { note: 'Not mine', editedBy: 'specials1' }));
+  });
+
+  test('incidents are voided, never deleted or relabelled', async () => {
+    const db = as('teacher1');
+    await assertSucceeds(updateDoc(doc(db, incidents('plan1'), 'inc1'), { voided: true, voidReason: 'Duplicate', voidedBy: 'teacher1' }));
+    await assertFails(updateDoc(doc(db, incidents('plan1'), 'inc1'), { label: 'Other' }));
+    await assertFails(deleteDoc(doc(as('admin1'), incidents('plan1'), 'inc1')));
+  });
+
+  test('edits and voids name the writer for the audit log', async () => {
+    const db = as('teacher1');
+    await assertFails(updateDoc(doc(db, incidents('plan1'), 'inc1'), { note: 'Unsigned' }));
+    await assertFails(updateDoc(doc(db, incidents('plan1'), 'inc1'), { voided: true, voidReason: 'Duplicate', voidedBy: 'teacher2' }));
+  });
+});
+
+describe('staff', () => {
+  test('staff read the directory; parents read only their own record', async () => {
+    await assertSucceeds(getDoc(doc(as('teacher1'), schoolPath('staff', 'specials1'))));
+    await assertSucceeds(getDoc(doc(as('parent1'), schoolPath('staff', 'parent1'))));
+    await assertFails(getDoc(doc(as('parent1'), schoolPath('staff', 'teacher1'))));
+  });
+
+  test('only admins write staff', async () => {
+    await assertSucceeds(updateDoc(doc(as('admin1'), schoolPath('staff', 'teacher1')), { displayName: 'T' }));
+    await assertFails(updateDoc(doc(as('teacher1'), schoolPath('staff', 'teacher1')), { roles: ['admin'] }));
+  });
+});
+
+describe('imitation', () => {
+  test('a read-only session sees what the target sees and writes nothing', async () => {
+    const db = imitating('parent1', 'read');
+    await assertSucceeds(getDoc(doc(db, schoolPath('students', 'stu1'))));
+    await assertFails(getDoc(doc(db, schoolPath('students', 'stu2'))));
+    await assertFails(getDoc(doc(db, schoolPath('audit_logs', 'log1'))));
+  });
+
+  test('a write session writes with the target\'s scope only', async () => {
+    const db = imitating('teacher1', 'write');
+    const cell = { matrix: { p2: { g1: 1 } }, lastModifiedBy: 'admin1' };
+    await assertSucceeds(setDoc(doc(db, schoolPath('plans', 'plan1', 'days', DAY)), cell, { merge: true }));
+    await assertFails(setDoc(doc(db, schoolPath('plans', 'plan2', 'days', DAY)), cell, { merge: true }));
+    await assertFails(updateDoc(doc(imitating('teacher1', 'read'), schoolPath('plans', 'plan1', 'days', DAY)), { matrix: {} }));
+  });
+
+  test('an ended session can no longer write', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(doc(context.firestore(), schoolPath('imitation_sessions', 'admin1')), { active: false }));
+    const db = imitating('teacher1', 'write');
+    await assertFails(setDoc(doc(db, schoolPath('plans', 'plan1', 'days', DAY)), { matrix: { p2: { g1: 1 } }, lastModifiedBy: 'admin1' }, { merge: true }));
+  });
+});
+
+describe('server-owned collections', () => {
+  test('audit logs are admin-read and never client-written', async () => {
+    await assertSucceeds(getDoc(doc(as('admin1'), schoolPath('audit_logs', 'log1'))));
+    await assertFails(getDoc(doc(as('teacher1'), schoolPath('audit_logs', 'log1'))));
+    await assertFails(setDoc(doc(as('admin1'), schoolPath('audit_logs', 'log2')), { action: 'forged' }));
+    await assertFails(setDoc(doc(as('admin1'), schoolPath('audit_queue', 'q1')), { action: 'forged' }));
+  });
+
+  test('specials rosters are read by staff and written by functions only', async () => {
+    await assertFails(setDoc(doc(as('admin1'), schoolPath('specials_rosters', 'r1')), { students: [] }));
+    await assertFails(getDoc(doc(as('parent1'), schoolPath('specials_rosters', 'r1'))));
+  });
+
+  test('parent links and link codes are read by admins and written by functions only', async () => {
+    await assertSucceeds(getDoc(doc(as('admin1'), schoolPath('parent_links', 'parent2_stu2'))));
+    await assertFails(getDoc(doc(as('parent2'), schoolPath('parent_links', 'parent2_stu2'))));
+    await assertFails(setDoc(doc(as('admin1'), schoolPath('parent_links', 'parent1_stu2')), { parentUid: 'parent1', studentId: 'stu2', active: true }));
+    
+    const codes = collection(as('admin1'), 'parent_link_codes');
+    await assertSucceeds(getDocs(query(codes, where('schoolId', '==', SCHOOL))));
+    await assertFails(getDoc(doc(as('parent1'), 'parent_link_codes/K7MQ2ZTA')));
+    await assertFails(updateDoc(doc(as('parent1'), 'parent_link_codes/K7MQ2ZTA'), { usedAt: new Date() }));
+  });
+
+  test('parents cannot link themselves to a student', async () => {
+    await assertFails(updateDoc(doc(as('parent1'), schoolPath('students', 'stu2')), { parentUids: ['parent2', 'parent1'] }));
+  });
+
+  test('schools cannot be created from the client', async () => {
+    await assertFails(setDoc(doc(as('admin1'), 'schools/sch2'), { name: 'New' }));
+  });
+});
\ No newline at end of file